@@ -0,0 +1,89 @@
+/*
+ * Per-keystroke cost of scoring a password as the dictionaries grow. Every password is "typed" one character at a
+ * time and scored after each one, like the meter does, with an extra dictionary of N generated words registered.
+ *
+ *      npm run bench
+ *      node bench/keystroke.js 0 10000 100000     # custom dictionary sizes
+ */
+var Entropy = require("../js/entropy"),
+    PWStrengthMeter = require("../js/pwstrengthmeter");
+
+var SIZES = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [0, 10000, 50000, 100000, 250000],
+    PASSWORDS = [
+        "correct horse battery staple",
+        "Tr0ub4dor&3",
+        "jsmith1984!",
+        "qwertyuiop[]",
+        "X7#kq!9Lm@2vRt%p",
+        "dragonmonkeyletmein2024",
+        "4@8({[<3691!|70$5+%2"      // every l33t character
+    ],
+    ROUNDS = 5;
+
+
+// Deterministic pseudo-random words, so runs can be compared
+function words(n) {
+    var list = [], seed = 42, i, j, ln, w;
+
+    function next() {
+        seed = (seed * 16807) % 2147483647;  // Park-Miller, exact in doubles
+        return seed / 2147483647;
+    }
+
+    for (i=0; i<n; ++i) {
+        ln = 4 + Math.floor(next() * 8);
+        w = "";
+        for (j=0; j<ln; ++j) {
+            w += String.fromCharCode(97 + Math.floor(next() * 26));
+        }
+        list[i] = w;
+    }
+    return list;
+}
+
+
+function keystrokes(score) {
+    var count = 0, start = process.hrtime(), elapsed, r, i, k;
+
+    for (r=0; r<ROUNDS; ++r) {
+        for (i=0; i<PASSWORDS.length; ++i) {
+            for (k=1; k<=PASSWORDS[i].length; ++k) {
+                score(PASSWORDS[i].substring(0, k));
+                count += 1;
+            }
+        }
+    }
+    elapsed = process.hrtime(start);
+    return (elapsed[0] * 1e3 + elapsed[1] / 1e6) / count;
+}
+
+
+function pad(str, ln) {
+    str = String(str);
+    while (str.length < ln) { str = " " + str; }
+    return str;
+}
+
+
+var i, size, entropyMs, meterMs, dict;
+
+console.log(pad("extra words", 12) + pad("dictionary", 12) + pad("Entropy ms", 12) + pad("evaluate ms", 13));
+
+for (i=0; i<SIZES.length; ++i) {
+    size = SIZES[i];
+    if (size > 0) {
+        dict = Entropy.addDictionary("bench", words(size));
+    } else {
+        Entropy.removeDictionary("bench");
+        dict = null;
+    }
+
+    keystrokes(function (pw) { return new Entropy(pw); });  // warm up
+    entropyMs = keystrokes(function (pw) { return new Entropy(pw, ["jsmith"]); });
+    meterMs = keystrokes(function (pw) { return PWStrengthMeter.evaluate(pw, {policy: "nist80063b", userInputs: ["jsmith"]}); });
+
+    console.log(pad(size, 12) + pad(Entropy.dictionaries["default"].size + (dict ? dict.size : 0), 12) +
+        pad(entropyMs.toFixed(3), 12) + pad(meterMs.toFixed(3), 13));
+}
+
+Entropy.removeDictionary("bench");
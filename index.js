@@ -0,0 +1,20 @@
+/*
+ * CommonJS entry point. Entropy, PWPolicy and PWBreachCheck do not use the DOM and can be used in Node to
+ * enforce on the server the same policy the meter shows in the browser:
+ *
+ *      var pwstrength = require("pwstrength");
+ *      var data = pwstrength.evaluate(password, { policy: "nist80063b", userInputs: [username, email] });
+ *      if (!data.valid) { ... }
+ *
+ * "data" is exactly what a PWStrengthMeter with the same options passes to its onChange listener.
+ */
+var PWStrengthMeter = require("./js/pwstrengthmeter");
+
+module.exports = {
+    Entropy: require("./js/entropy"),
+    PWPolicy: require("./js/pwpolicy"),
+    PWBreachCheck: require("./js/pwbreachcheck"),
+    PWGenerator: require("./js/pwgenerator"),
+    PWStrengthMeter: PWStrengthMeter,
+    evaluate: PWStrengthMeter.evaluate
+};
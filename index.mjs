@@ -0,0 +1,13 @@
+/*
+ * ES module entry point. See index.js.
+ */
+import pwstrength from "./index.js";
+
+export var Entropy = pwstrength.Entropy;
+export var PWPolicy = pwstrength.PWPolicy;
+export var PWBreachCheck = pwstrength.PWBreachCheck;
+export var PWGenerator = pwstrength.PWGenerator;
+export var PWStrengthMeter = pwstrength.PWStrengthMeter;
+export var evaluate = pwstrength.evaluate;
+
+export default pwstrength;
@@ -1,7 +1,15 @@
-var Entropy;
-
+(function (root, factory) {
+    // UMD: AMD, CommonJS (Node, bundlers) or a browser global
+    if (typeof define == "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Entropy = factory();
+    }
+})(this, function () {
 
-(function () {
+    var Entropy;
 
 
     /**
@@ -11,18 +19,32 @@ var Entropy;
      * the National Institute of Standards and Technology special publication 800-63.
      * http://csrc.nist.gov/publications/nistpubs/800-63-1/SP-800-63-1.pdf (Appendix A: Estimating Entropy and Strength)
      * @param pw {String} The user's password.
+     * @param userInputs {String[]} Optional. Values specific to the user (ex. username, email
+     *      address, full name) that are treated as an extra dictionary for this password only.
      */
-    Entropy = function (pw) {
+    Entropy = function (pw, userInputs) {
         if (typeof pw != "string") { pw = ""; }
 
+        this.password = pw;
+        pw = Entropy.normalize(pw); // full-width and compatibility characters are scored as their plain equivalent
+        this.normalized = pw;
+        this.length = Entropy.countChars(pw);
+        this.userDict = buildUserDictionary(userInputs); // must be set before the dictionary checks
+
         var charset  = this.getCharsetInfo(pw), // returns {size: <number of possible characters>, count: <number of character sets the password matched>}
             compBits = this.calcCompositionBits(pw, charset.count),  // retrieve bits for composition rules
-            dictBits = this.calcDictionaryBits(pw); // retrieve bits for not appearing in dictonary
+            dictBits = this.calcDictionaryBits(pw), // retrieve bits for not appearing in dictonary
+            patterns = this.calcPatternInfo(pw, charset.size), // guessable segments (keyboard walks, repeats, ...)
+            bonusBits = (patterns.unmatched > 0) ? compBits + dictBits : 0; // passwords made up entirely of patterns earn no bonus
 
-        this.password = pw;
-        this.entropy = (charset.size <= 0) ? 0 : Math.floor(Math.log(charset.size) * (pw.length / Math.log(2))) + compBits + dictBits;
-        this.inDict   = (dictBits === 0 && Entropy.DICT[pw.toLowerCase()]);  // true if password is in the dictionary
+        this.entropy = (charset.size <= 0) ? 0 : Math.max(0, Math.floor(Math.log(charset.size) * (patterns.unmatched / Math.log(2)) + patterns.bits) + bonusBits);
+        this.inDict   = this.isDictWord(pw);  // true if password is in the dictionary
         this.charset  = charset;  // info about the size of the character set used to calculate the entropy
+        this.matches  = patterns.matches;  // the guessable segments that were discounted
+        this.dictMatches = filterMatches(patterns.matches, "dictionary");  // the dictionary words that were discounted
+        this.guesses  = Math.pow(2, this.entropy);  // number of guesses needed to find the password
+        this.crackTimes = this.calcCrackTimes(this.guesses);  // how long it would take for each attack scenario
+        this.feedback = this.getFeedback();  // warnings and suggestions explaining the score
     };
 
     Entropy.prototype = {
@@ -32,13 +54,26 @@ var Entropy;
          */
         password: "",
 
+        /**
+         * @attr normalized {String} The password after Unicode normalization (see Entropy.normalize).
+         *      This is the value that was scored; the indexes of the matches refer to it.
+         */
+        normalized: "",
+
+        /**
+         * @attr length {Number} The number of characters in the password as a user would count them
+         *      (see Entropy.countChars). Accented letters and emoji count as one character.
+         */
+        length: 0,
+
         /**
          * @attr entropy {Number} The calculated entropy value.
          */
         entropy: 0,
 
         /**
-         * @attr inDict {Boolean} "true" if the password value is in the dictionary.
+         * @attr inDict {Boolean} "true" if the password value is in the dictionary (ignoring case,
+         *      l33t substitutions and reversal).
          */
         inDict: false,
 
@@ -50,6 +85,130 @@ var Entropy;
          */
         charset: null,
 
+        /**
+         * @attr guesses {Number} Estimated number of guesses an attacker needs to find the password
+         *      (2 raised to the entropy value).
+         */
+        guesses: 1,
+
+        /**
+         * @attr crackTimes {Object} Estimated time to find the password for each of the attack
+         *      scenarios in Entropy.ATTACK_RATES. Each entry has the number of "seconds" and a
+         *      human-readable "display" value (ex. "3 hours").
+         */
+        crackTimes: null,
+
+        /**
+         * @attr feedback {Object} Human-readable explanation of the score. "warnings" is an array
+         *      of what makes the password easy to guess, "suggestions" an array of ways to make it
+         *      stronger. The text comes from Entropy.MESSAGES.
+         */
+        feedback: null,
+
+        /**
+         * @attr userDict {Object} The dictionary built from the user inputs given to the
+         *      constructor, or null. Its matches are reported with dictionary "user_inputs".
+         */
+        userDict: null,
+
+        /**
+         * @attr matches {Object[]} The guessable segments of the password (keyboard walks, repeats,
+         *      sequences, dates) that were discounted from the entropy value. Each match has a
+         *      "pattern" name, the matched "token", its start ("i") and end ("j", inclusive) index
+         *      and the number of "bits" the segment was scored at.
+         */
+        matches: null,
+
+        /**
+         * @attr dictMatches {Object[]} The dictionary words found in the password. These are the
+         *      "dictionary" entries of the matches attribute; besides the usual match attributes
+         *      each one has the dictionary "word" that matched, whether it was "reversed" and the
+         *      "l33t" substitutions (ex. {"4": "a"}) that were undone, if any.
+         */
+        dictMatches: null,
+
+
+
+        /**
+         * @method calcCrackTimes
+         * Estimate how long each of the attack scenarios in Entropy.ATTACK_RATES needs to make
+         * the given number of guesses.
+         * @param guesses {Number}
+         * @return {Object} {<scenario>: {seconds: <Number>, display: <String>}, ...}
+         */
+        calcCrackTimes: function (guesses) {
+            var times = {}, scenario, seconds;
+
+            for (scenario in Entropy.ATTACK_RATES) {
+                seconds = guesses / Entropy.ATTACK_RATES[scenario];
+                times[scenario] = {seconds: seconds, display: Entropy.displayTime(seconds)};
+            }
+            return times;
+        },
+
+
+        /**
+         * @method getFeedback
+         * Build warnings and suggestions from what lowered the password's score: dictionary
+         * words, user inputs and the other patterns found, and the length of the password.
+         * Passwords of Entropy.MAX_ENTROPY_FEEDBACK bits or more get no feedback.
+         * @return {Object} {warnings: <String[]>, suggestions: <String[]>}
+         */
+        getFeedback: function () {
+            var msg = Entropy.MESSAGES,
+                warnings = [],
+                suggestions = [],
+                matches = this.matches || [],
+                i, m;
+
+            if (!this.password) {
+                return {warnings: [], suggestions: [msg.useFewWords, msg.noNeedForSymbols]};
+            }
+            if (this.entropy >= Entropy.MAX_ENTROPY_FEEDBACK) {
+                return {warnings: [], suggestions: []};
+            }
+
+            if (this.inDict) {
+                addMessage(warnings, (matches.length && matches[0].dictionary === "user_inputs") ? msg.userInputs : msg.commonPassword);
+            }
+
+            for (i=0; i<matches.length; ++i) {
+                m = matches[i];
+                switch (m.pattern) {
+                case "dictionary":
+                    if (m.dictionary === "user_inputs") {
+                        addMessage(warnings, msg.userInputs);
+                    } else if (!this.inDict) {
+                        addMessage(warnings, msg.commonWord);
+                    }
+                    if (m.l33t) { addMessage(suggestions, msg.l33t); }
+                    if (m.reversed) { addMessage(suggestions, msg.reversed); }
+                    if (m.token.toLowerCase() !== m.token) { addMessage(suggestions, msg.capitalization); }
+                    break;
+                case "keyboard":
+                    addMessage(warnings, (m.turns === 1) ? msg.keyboardRow : msg.keyboardPattern);
+                    addMessage(suggestions, msg.avoidKeyboard);
+                    break;
+                case "repeat":
+                    addMessage(warnings, (m.baseToken.length === 1) ? msg.repeatChar : msg.repeatBlock);
+                    addMessage(suggestions, msg.avoidRepeats);
+                    break;
+                case "sequence":
+                    addMessage(warnings, msg.sequence);
+                    addMessage(suggestions, msg.avoidSequences);
+                    break;
+                case "date":
+                    addMessage(warnings, m.month ? msg.date : msg.year);
+                    addMessage(suggestions, msg.avoidDates);
+                    break;
+                }
+            }
+
+            if (warnings.length || this.length < Entropy.MIN_LENGTH_FEEDBACK) {
+                suggestions.unshift(msg.addWords);
+            }
+            return {warnings: warnings, suggestions: suggestions};
+        },
 
 
         /**
@@ -61,7 +220,7 @@ var Entropy;
          * @return {Number}
          */
         calcCompositionBits: function (pw, cnt) {
-            var ln = pw.length, bits = 0;
+            var ln = Entropy.countChars(pw), bits = 0;
 
             if ( ln >= 4 && cnt >= 3) {
                 if (ln >= 8) { bits = 6; }
@@ -76,14 +235,17 @@ var Entropy;
         /**
          * @method getCharsetInfo
          * Calculates the size of the character set used for the entropy calculation
-         * and the number of character sets the password inhabits.
+         * and the number of character sets the password inhabits. Characters that are not on a
+         * standard keyboard are grouped by script (accented latin, greek, cyrillic, CJK, emoji);
+         * each script found adds the number of characters someone typing in it commonly picks
+         * from (see Entropy.SCRIPT_SIZES) rather than every Unicode character.
          * @param pw {String} The user's password.
          * @return {Object} Size and count of the character set to use for calculating entropy.
          *      "size" attribute is the number of possible characters. "count" attribute is
          *      the number of character sets the password matched.
          */
         getCharsetInfo: function (pw) {
-            var rx=Entropy.CHARSET_RX, size=0, count=0;
+            var rx=Entropy.CHARSET_RX, scripts=Entropy.SCRIPT_SIZES, size=0, count=0, name;
 
             if (rx.lc.test(pw)) { size += 26; count += 1; }  // lowercase
             if (rx.uc.test(pw)) { size += 26; count += 1; } // uppercase
@@ -91,9 +253,19 @@ var Entropy;
             if (rx.sp.test(pw)) { size += 1; count += 1; } // space
             if (rx.sym_upper.test(pw)) { size += 16; count += 1; } // Upper keyboard symbols
             if (rx.sym_lower.test(pw)) { size += 16; count += 1; } // lower keyboard symbols
-            // non-keyboard symbols. Charset will be all unicode characters (minus the 94 standard keyboard characters).
-            // It is unlikely that anyone with a standard keyboard will test true here
-            if (rx.non_keyboard.test(pw)) { size += (65535-94); count += 1; }
+
+            // non-keyboard characters, by script. Combining marks and joiners are part of the
+            // character before them and add nothing on their own
+            if (rx.non_keyboard.test(pw)) {
+                pw = pw.replace(new RegExp(rx.combining.source, "g"), "");
+                for (name in scripts) {
+                    if (name !== "other" && rx[name].test(pw)) {
+                        size += scripts[name]; count += 1;
+                        pw = pw.replace(new RegExp(rx[name].source, "g"), "");
+                    }
+                }
+                if (rx.non_keyboard.test(pw)) { size += scripts.other; count += 1; } // anything else
+            }
 
             return {size: size, count: count};
         },
@@ -108,12 +280,340 @@ var Entropy;
          * (1) (length < 4) || (password in dictionary) is 0 bits.
          * (2) (length <= 6) is length of pw (4, 5, or 6 bits).
          * (3) (length > 6 && length < 20) is 6 bits.
+         * A password is "in the dictionary" if it is a dictionary word, ignoring case, l33t
+         * substitutions and reversal (see isDictWord). Dictionary words embedded in a longer
+         * password are discounted by matchDictionary instead.
          * @param pw {String} The user's password.
          * @return {Number} The number of bits.
          */
         calcDictionaryBits: function (pw) {
-            var ln = pw.length;
-            return ( ln>=4 && ln<20 && !Entropy.DICT[pw.toLowerCase()] ) ? Math.min(ln, 6) : 0;
+            var ln = Entropy.countChars(pw);
+            return ( ln>=4 && ln<20 && !this.isDictWord(pw) ) ? Math.min(ln, 6) : 0;
+        },
+
+
+        /**
+         * @method getDictionaries
+         * The dictionaries used for this password: the registered ones plus the user inputs
+         * given to the constructor.
+         * @return {Object[]}
+         */
+        getDictionaries: function () {
+            var dicts = [], name;
+
+            for (name in Entropy.dictionaries) {
+                dicts.push(Entropy.dictionaries[name]);
+            }
+            if (this.userDict) { dicts.push(this.userDict); }
+            return dicts;
+        },
+
+
+        /**
+         * @method isDictWord
+         * Check whether the whole password is a dictionary word. Case is ignored and the
+         * password is also checked reversed and with common l33t substitutions undone
+         * (ex. "P4ssw0rd", "drowssap").
+         * @param pw {String} The user's password.
+         * @return {Boolean}
+         */
+        isDictWord: function (pw) {
+            var lower = pw.toLowerCase(),
+                subs = l33tSubstitutions(lower),
+                dicts = this.getDictionaries(),
+                i, word;
+
+            for (i=0; i<subs.length; ++i) {
+                word = translate(lower, subs[i]);
+                if (findWord(dicts, word) || findWord(dicts, reverse(word))) { return true; }
+            }
+            return false;
+        },
+
+
+        /**
+         * @method calcPatternInfo
+         * Find the cheapest way to describe the password as a mix of guessable patterns and
+         * "random" characters. Every character outside of a pattern costs log2(size) bits, every
+         * pattern costs its own (lower) number of bits.
+         * @param pw {String} The user's password.
+         * @param size {Number} The size of the character set the password is in.
+         * @return {Object} "matches" is the array of patterns used, "unmatched" is the number of
+         *      characters not covered by a pattern and "bits" is the total bits of the patterns.
+         */
+        calcPatternInfo: function (pw, size) {
+            var ln = pw.length,
+                starts = graphemeStarts(pw),
+                charBits = (size > 0) ? Math.log(size) / Math.log(2) : 0,
+                candidates = this.findPatterns(pw),
+                byEnd = {},
+                cost = [0],
+                back = [null],
+                info = {matches: [], unmatched: Entropy.countChars(pw), bits: 0},
+                i, k, m;
+
+            for (i=0; i<candidates.length; ++i) {
+                m = candidates[i];
+                (byEnd[m.j+1] = byEnd[m.j+1] || []).push(m);
+            }
+
+            // cost[k] is the fewest bits needed to describe the first k code units. Only the first
+            // code unit of a character is charged for (surrogates, combining marks are free)
+            for (k=1; k<=ln; ++k) {
+                cost[k] = cost[k-1] + charBits * starts[k-1];
+                back[k] = null;
+                for (i=0; byEnd[k] && i<byEnd[k].length; ++i) {
+                    m = byEnd[k][i];
+                    if (cost[m.i] + m.bits < cost[k]) {
+                        cost[k] = cost[m.i] + m.bits;
+                        back[k] = m;
+                    }
+                }
+            }
+
+            for (k=ln; k>0; ) {
+                m = back[k];
+                if (m) {
+                    info.matches.unshift(m);
+                    for (i=m.i; i<=m.j; ++i) { info.unmatched -= starts[i]; }
+                    info.bits += m.bits;
+                    k = m.i;
+                } else {
+                    k -= 1;
+                }
+            }
+            return info;
+        },
+
+
+        /**
+         * @method findPatterns
+         * Run every matcher listed in Entropy.MATCHERS against the password.
+         * @param pw {String} The user's password.
+         * @return {Object[]} All (possibly overlapping) pattern matches.
+         */
+        findPatterns: function (pw) {
+            var matchers = Entropy.MATCHERS, matches = [], i;
+
+            for (i=0; i<matchers.length; ++i) {
+                matches = matches.concat(this[matchers[i]](pw));
+            }
+            return matches;
+        },
+
+
+        /**
+         * @method matchKeyboard
+         * Find runs of 3 or more characters where every character is next to the previous one
+         * on one of the keyboards in Entropy.KEYBOARDS (ex. "qwerty", "zaq1", "aoeu").
+         * @param pw {String} The user's password.
+         * @return {Object[]}
+         */
+        matchKeyboard: function (pw) {
+            var matches = [], ln = pw.length, name, graph, i, j, dir, lastDir, turns, shifted;
+
+            for (name in Entropy.KEYBOARDS) {
+                graph = Entropy.KEYBOARDS[name];
+                for (i=0; i<ln-2; i=j) {
+                    lastDir = null;
+                    turns = 0;
+                    shifted = graph.shifted[pw.charAt(i)] ? 1 : 0;
+
+                    for (j=i+1; j<ln; ++j) {
+                        dir = adjacentDirection(graph, pw.charAt(j-1), pw.charAt(j));
+                        if (dir < 0) { break; }
+                        if (dir !== lastDir) { turns += 1; lastDir = dir; }
+                        if (graph.shifted[pw.charAt(j)]) { shifted += 1; }
+                    }
+
+                    if (j-i >= 3) {
+                        matches.push({
+                            pattern: "keyboard",
+                            token: pw.substring(i, j),
+                            i: i,
+                            j: j-1,
+                            keyboard: name,
+                            turns: turns,
+                            bits: log2(graph.keys) + log2(j-i-1) + turns * log2(graph.degree) + (shifted ? 1 : 0)
+                        });
+                    } else {
+                        j = i+1;
+                    }
+                }
+            }
+            return matches;
+        },
+
+
+        /**
+         * @method matchRepeat
+         * Find repeated characters or blocks of characters (ex. "aaaa", "abcabc").
+         * @param pw {String} The user's password.
+         * @return {Object[]}
+         */
+        matchRepeat: function (pw) {
+            var matches = [], greedy = /(.+)\1+/g, lazy = /(.+?)\1+/g, anchored = /^(.+?)\1+$/,
+                last = 0, gm, lm, m, base, baseSize, baseInfo;
+
+            while (last < pw.length) {
+                greedy.lastIndex = lazy.lastIndex = last;
+                gm = greedy.exec(pw);
+                lm = lazy.exec(pw);
+                if (!gm) { break; }
+
+                // The greedy match finds longer repeats ("abcabc" in "aabcabc") while the lazy
+                // match finds the smallest repeating unit ("a" in "aaaa").
+                if (gm[0].length > lm[0].length) {
+                    m = gm;
+                    base = anchored.exec(gm[0])[1];
+                } else {
+                    m = lm;
+                    base = lm[1];
+                }
+
+                baseSize = this.getCharsetInfo(base).size;
+                last = m.index + m[0].length;
+                if (baseSize === 0) { continue; } // only combining marks or joiners: part of the characters around them
+
+                baseInfo = this.calcPatternInfo(base, baseSize);
+                matches.push({
+                    pattern: "repeat",
+                    token: m[0],
+                    i: m.index,
+                    j: m.index + m[0].length - 1,
+                    baseToken: base,
+                    repeatCount: m[0].length / base.length,
+                    bits: log2(baseSize) * baseInfo.unmatched + baseInfo.bits + log2(m[0].length / base.length)
+                });
+            }
+            return matches;
+        },
+
+
+        /**
+         * @method matchSequence
+         * Find ascending or descending runs of 3 or more letters or digits (ex. "abcd", "9876").
+         * @param pw {String} The user's password.
+         * @return {Object[]}
+         */
+        matchSequence: function (pw) {
+            var matches = [], ln = pw.length, i, j, delta, cls, first;
+
+            for (i=0; i<ln-2; i=j) {
+                cls = sequenceClass(pw.charAt(i));
+                delta = pw.charCodeAt(i+1) - pw.charCodeAt(i);
+
+                j = i+1;
+                if (cls && (delta === 1 || delta === -1)) {
+                    while (j < ln && pw.charCodeAt(j) - pw.charCodeAt(j-1) === delta && sequenceClass(pw.charAt(j)) === cls) {
+                        j += 1;
+                    }
+                }
+
+                if (j-i >= 3) {
+                    first = pw.charAt(i);
+                    matches.push({
+                        pattern: "sequence",
+                        token: pw.substring(i, j),
+                        i: i,
+                        j: j-1,
+                        ascending: delta === 1,
+                        // obvious starting points ("a", "z", "0", "1", ...) are the first ones an attacker would try
+                        bits: (/[aAzZ019]/.test(first) ? 1 : log2(Math.abs(cls))) + log2(j-i) + (delta === 1 ? 0 : 1)
+                    });
+                } else {
+                    j = i+1;
+                }
+            }
+            return matches;
+        },
+
+
+        /**
+         * @method matchDate
+         * Find years (ex. "1984") and dates with or without separators (ex. "19841231", "12/31/84",
+         * "31.12.1984").
+         * @param pw {String} The user's password.
+         * @return {Object[]}
+         */
+        matchDate: function (pw) {
+            var matches = [], ln = pw.length, rx = Entropy.DATE_RX, formats = Entropy.DATE_FORMATS,
+                i, f, seen, tok, date, m, parts;
+
+            // Dates and years without separators, at most one match per position and length
+            for (i=0; i<ln; ++i) {
+                seen = {};
+                for (f=0; f<formats.length; ++f) {
+                    tok = pw.substr(i, formats[f].length);
+                    if (seen[tok.length] || tok.length !== formats[f].length || !rx.digits.test(tok)) { continue; }
+
+                    date = parseDate(tok, formats[f]);
+                    if (date) {
+                        seen[tok.length] = true;
+                        matches.push(dateMatch(tok, i, date, ""));
+                    }
+                }
+            }
+
+            // Dates with separators. The year may come first (y/m/d) or last (d/m/y or m/d/y).
+            rx.separated.lastIndex = 0;
+            while ((m = rx.separated.exec(pw)) != null) {
+                rx.separated.lastIndex = m.index + 1;
+                parts = [m[1], m[3], m[4]];
+                date = toDate(parts[0], parts[1], parts[2]) || toDate(parts[2], parts[1], parts[0]) || toDate(parts[2], parts[0], parts[1]);
+                if (date) {
+                    matches.push(dateMatch(m[0], m.index, date, m[2]));
+                }
+            }
+            return matches;
+        },
+
+        /**
+         * @method matchDictionary
+         * Find dictionary words anywhere in the password, including reversed words and words
+         * with common l33t substitutions (ex. "dr4g0n" is "dragon").
+         * @param pw {String} The user's password.
+         * @return {Object[]}
+         */
+        matchDictionary: function (pw) {
+            var matches = [],
+                ln = pw.length,
+                lower = pw.toLowerCase(),
+                subs = l33tSubstitutions(lower),
+                dicts = this.getDictionaries(),
+                maxLn = 0,
+                s, i, j, d, word, rev, tok, sub, fwd, bwd;
+
+            for (d=0; d<dicts.length; ++d) {
+                maxLn = Math.max(maxLn, dicts[d].maxLength);
+            }
+
+            for (s=0; s<subs.length; ++s) {
+                word = translate(lower, subs[s]);
+                rev = reverse(word);
+
+                for (i=0; i<ln; ++i) {
+                    for (j=i+2; j<ln && j-i<maxLn; ++j) {
+                        tok = pw.substring(i, j+1);
+                        sub = usedSubstitutions(tok.toLowerCase(), subs[s]);
+
+                        // Only count l33t matches once, with the substitutions they actually use
+                        if (s > 0 && !sub) { continue; }
+
+                        fwd = word.substring(i, j+1);
+                        bwd = rev.substring(ln-1-j, ln-i);
+                        for (d=0; d<dicts.length; ++d) {
+                            if (dicts[d].words[fwd]) {
+                                matches.push(dictionaryMatch(tok, i, fwd, sub, false, dicts[d]));
+                            }
+                            if (dicts[d].words[bwd]) {
+                                matches.push(dictionaryMatch(tok, i, bwd, sub, true, dicts[d]));
+                            }
+                        }
+                    }
+                }
+            }
+            return matches;
         }
 
 
@@ -121,7 +621,317 @@ var Entropy;
     }; // -- eo prototype
 
 
-    Entropy.DICT = unpackDictList("A!@#$%F^G&H*A.,mnEbA/.,mEnFbBdev/nullBetc/passwdBusr/groupA0000E0F0G0H0D7C7007B213C46D9A1022D9E3F8Csne1B111E1F1G1H1B209C12E12D3D4D7C25C3098D123D321D4E5F6G7H8EqwerDabcDgoB313E13D6C32C579B412C30C430B701dC1717B812overtureD8E18B900D1D2D3D4D5D6D7D8D9C10D1D2D3D4D5D6D7D8D9C20D1D2D3D4D5D6D7D8D9C30D1D2D3D4D5D6D7D8D9C40D1D2D3D4D5D6D7D8D9C50D1D2D3D4D5D6D7D8D9C60D1D2D3D4D5D6D7D8D9C70D1D2D3D4D5D6D7D8D9C80D1D2D3D4D5D6D7D8D9C90D1D2D3D4D5D6D7D8D9Ba2b3cBchrisBkittyBp2o3iBq2w3eCw23eBsanjoseA2000D1D2D3D4D5D6D7D8D9C10D2D3D4D5D6D7D8D9C20D1D2D3D4D5D6D7D8D9C30D1D2D3D4D5D6D7D8B112E2112B200C22E2F2G2H2C52BkidsBwelcomeA3010B112C41B333E3F3G3H3B533BbearsA4.2bsdC3bsdB055C77mashB2bsdB3bsdB444E4F44H4B788B854BrunnerA5050B121B252B4321B555E5F5G5H5B683B7chevyBand5A6262B301B54321B666E6F6G6H6B969E69Czulu4zA7777E7F7G7H7B89456BdwarfsA80486B675309B7654321B888E8F8G8H8A90210B11scFturboDturboB2072B999E9F9G9H9A;lk;lkDasdA@#$%^&Aa12345Cb2c3Gd4BaaaEaFaGaHaCrdvarkDonDtiBbacabDdabdooCbotFtDyCc123DdE123H4EeFfGgCdenaceDolDulFkafFlahErChijitEramCigailCoutCracadabraIverEhamErCsolutBcaciaDdemiaHcCceptEssDordEuntHsCknakCropolisCtionEveDorCuraBdamEsCelCibDdasDneCminF1FistIratorCrianGnaHeEenGneDockCultCventurDilBeneasCrobicsBfreshDicaEdCterBgainCentCgieFsCnesBhideeCmedEtBikmanCleenCmeeCrborneDcraftDheadDplaneDwolfBjaiDyBkhilCi123DkoBlainDmgirDnDsEkaEtairDyneCbanyEtrosIsDertGoCcaponeCejandrDnaDrtDssandDxE1EandeIrHrEendrEiaFsCfaroDredCgebraCiasFesDcaEeF1EiaDenFsDnaEeDsaEonClahEnDegroEnDisonDoDstateCohaDkCphaF1FbetDineCtafEmiraDheaDimaG1CvaDinCwaysCysonEsaBmadeusDndaG1DrEjitEpreeDzingCberCelieDricaH7CigaCorphousDsDurCrilBn-jenCacondaDlEogDntFhDstasiCchanaEorCdersGonDiDreF1FaG1GsFwG!G1EoidFmacheGedEzejDyCelieseDwpassCgelF1FaG1FikaFsErineDieF1DusCilDmalG houseGhouseGsDsDtaCjanaDenCnaElenaFiseEmariDeEliEtteDiEeConEymousCswerCtaresDhonyEropogenicDoineEnFioFyCumber1HoneDpaFmDragCvilsCythingBpacheColloG13CpleF1F2FiiFpieFsCrilCtivaBquaEriousGusBragornDmDshCbenzCchieFtectDticCdentCeleneCiaEdneEneDelFlaDfDjitDndamDstotleDzonaCjunFasaCleneCmandGoDondCnoldConDundCrowCsenalDhadCtemisDhurDieEstDyCunEaCvindBsadDpCdfE1234E;lkjEasdfEgFhGjHkEjklH;DlkjChimaEshDleyG1DokDrafDtonDutoshCianCjeetCpenCsholeDmunchCterixBt&tCandtChanassDenaClantaCmosphereCseCtilaCulBudieDraEeyCgustGinCreliusCstinCthorDumnBvalonDtarCengerEirCniCrahamBwayE!CesomeByeletClmerBzamCizEiCtecsCureAbabakDeEsDiesDyEdollElon5CcchusDhDkdoorErubEupCdassDboyDgerDtimesCgladyDwomanChramCileyCkedpotatoeErDshiClakrisEsFubrDdoDkrishDlardEsCmbiEooCnanaGsFeDcroftDditDgDksDzaiCrakaDbEaraEerEieDfEerEingDitoneDnEesFyG1EieEyardDonF harkonnenFharkonnenDretGtEyDtEmanEonCsebalHlDfEulDicElDkarEetGbHaIllDsEoonDtardDukiCtcaveEhEomputerDmanG1EobileCystateBballCbbEbFbGbHbBeachFesDgleDmmeupDnerEieEsDrEsDstFyDterEitElesEriceDutifuIlFyDverEisG1CbeCcauseDcaDkyCefDnDrDthovenCforeChnamClgiumDizeDlEaEeEowDmontDovedCngtDjaminEiDnetGtEyDoitDsonDtDyDzCowulfCppeCresforDhanuDkeleyDlinGerGwallDnardHoEhardEieDryDtEhaDylCstCtaEcamDhEanyDsieEyDterEieEyCverlyBharatDvaniCoothapBiayCcameralDhngaEonCenveniCgalDbenEirdEossFyErotherEucksDcockHsDdealEogEudeDfootDglesEuyDhipsEouseDjokeDmacFnEouthDredEoomDsecretDtitsEoeCkerClboDiameeDlEcEieEsEyF1CmboFeDmerCndDgEoDkyDodCoboyDchemDlogyCrdE33EieEyDgetGtaEitDthdayCscuitDhopDmillahCtchFinH'HgDemeDterCzhanBjornBlackFbootFieFjackDderunnerDhDineErDkeDncheDsterDzerCeepFingFsCindsDssDtzDzzardCondeFieFsG1DodEmcountyDwEfishEjobEmeEoffCssCueEbirdFlazerEeyesEfishEjeanElineEsFkyEvelvetBoatCbbiFjoEyDcatCdyshopCeingCgartDeyDusCleslawCmbayCndE007DerDgDitaDjourDkersDnEieDsaiDzaiEoCobieGsEooEysDgerEieDkEemGdannoEitDmerDnDsterDtsFieDzieCrisDnagaiCscoDsDtonCthCulderDrbonEneG-againGagainCwlingCxerFsCydDwonderCzoBradE&janetEfordEjanetEleyEnjanetDinFdeadDnchEd-n-janetFiFonFyEislaDsilDtDvenewworldFsDzilCeakoutEstGfeedGsDndaGnFenEtDtEonEtDwsterCianDcklesFoutDdgeGsGtHtDefcaseDghtDngEkleyDtainCoadwayDkenheartFrDmbergDncoGsEteDokeFsDthelGrHsDwnFsCuceDnoDtusCyanFtDceDnBsd4DunixBubbaF1FhGlahFlahEleGsCckEarooEsCddEahEhaFistEyDgieDliteCffaloEettEyCgsEbunnyEyCllEdogEetEsFhitCmblingCngDnyFrabbitCrgessDkeDnsDtonCsalaccDinessDterCtchDlerDtEerGflyEfuckIerEheadEonGsCzzByoungGinCronCtemeCungAc00perB3poBabernetDinboyCctusCdatDcamDweldCesarCipEcadDtlinClebEndarDgaryDibanEfornIiaDlDvinG1CmaroEyDelEraFonDillaGeDlinDpanileEbellEingCnadaDcedFrDdaceEiEyDelaDnonGdaIleDonDtorDucksEteCpfastDtainEianCrbonDdEinalDebearEnEyDlEaEenaEoFsEyleFnDmenDnageDolF1FeGenFieGnaHeFynDrieEolFtEyDsonDterEmanDverDyElEnCscadeHsDeyDhEboxDioDparEerDsieDtleCtalinaFogDch22DfishDherinIeEiEleenEyDnipDsDwomanCyugaBcccEcFcGcHcBecilFeFiaFyCdicClesteDiaEcaEneDticsCmentCnterCrebusDuleanCsarFeDsnaBhadDiEnFsawDkkalaDllengIeDmeleonEpionFsDnEceEdFlerFraHmHsEelFquaEgFeGdGitGmeGthisFhoFkyuEnelFiEshinEtalDoE-yanEfengEsDpmanDrdonnayEgerEityElesFieH1FottIeEmingEonDsDtDuCeckinFovDdsadaDeseGcakeDifDlseaH1DmEistryDnEgDowF-toDralaEryEylDssEterH1DungDvyF1Ci-pangEshunEtaiEwangEyaoDaE-huaFlinFyinGuEraDcagoEkenEoDefsEnDhsingDldsplayEinDnE-wEaFcatEgF-enGliGmeEookEpanDpEperDquitaDshengCldrnDoeCocolatIeDlDongG-hDpEsticksDuEetteCrisF1G23FpenFsGyFtG1GiaInHeHnIaIeGmasGopIhJerGyDonosCuckFyDen-chGtsDnE-linFsheFyuEgF-naGpiGyaFenFyenDongDrchEn-huBiceroCgarCmarronCndelynFrEiEyF1DemaCrcuitDqueDrusCvicElBlaireDmbakeDncyDptonDrenceEisaGsaEkFsonDssFicFrooImDudeGlFiaCeanerFfightFroomEtEvageDoCiffFordEtonDntFonDpperDtEorisCockEloDsefriendDudDverCuelessDsterHsBoatamundiEimundiCbainDraCcacolaEkolaDkDoCdeEnameDyCffeeChenCkacolaDeEisitClbyDdEcutsEshoulderEwarDemanEtteDinDleenFgeFtteEinsDorFadoFsEurDt45EraneDumbiaCmandurDbinationDeEdienneEonEtDmanderEradesEunicationDpaqEtonEuserveFteHrDradeHsCnceptEordeDdoFmGsDfidenEusedDnectFrEieDradDsoleEpirituEultaHiDtentErolDvexCokEieGsFngDlEbeanEmanDperDterCpperCraElynDdeliaDeyDinnaGeDkyDleneDneliaHusEflakeDonaDradoDvetteDwinCsmicEoFsCugarGsDldDntryDplesDrierEtneyDscousCventryCwboyGsDsCyoteBrack1FerDigDppEsDshcourseDwfordCeateFionGveDditDosoteDscentDtinDwCicketDminalDstinaConusDssDwEleyCugDiseDsaderCystalBs-eeCc298D412Die-ciCeeChrcBthreepoDulhuBudaDdlesCervoCnninghamDtCongCpcakeCrmudgeonDrentDtEisCstomerEsupCtdownDieFpieDlassByberFpunkCcloneCnthiaCranoDilAdaddyCebumDdalusDhyunDmonGicGsCggerG1CilyDnDsieEyCkotaCleDiborEtDlasDtryDuCmeDienDmitDogranEnDrongsCnaDceFrDeDgermouseDhDielG1GleDnaEiEyDteCphneDperCqingCrinDk1EmanEstarDrellFnEinEowEylDthFvaderDweiEinDylEouchCshaCtaE1EbaseEtrainDooCveDidF1FoviFsEsCwitDnCytekBdanielrodDyCddEdFdGdHdBe'anCadE-headEaheadEheadGdDnEnaDthFstarCbasishDbieDorahDraCcemberDkerCdheadFdDiCedeeDpakEfreezeEseaFixFpaceEthroatDznutsCfaultDenseDoeCkaiClanoDeteDiverDnazDoisDtaDugeCmeterDoEnFicFsCnaliDisFeDnisEyDverCpecheDtCquinCrekDluenDrekCsareeDertDignEreeDkjetEtopDmondDperateDtinyCtleffDroitCutschCvadminDelopEnDiceElFinsideEneDonCwayneDeyDydecimalCxterBhanDrmaGraCirajBiabloDgEsDlE-inFupEinEupDmondHsDnEaEeEnFeDzCckEensEheadEtracyCegoDselDtEerCggerDitalH1ClbertDipDlweedCmitrisDwitCnaDeshDnerCpakDlomacIyDperDstickDtaCrect1GorDkCscEbrakesEjockeyEoFveryDkDneyCxieDonBoanCctorDumentCdgerGsCesCgbertDcatcherDfightDgieEyCitEnowCllarGsEyDphinHsCmainDenicoDinicHkGqueFoCn'tDaldDeDgEmingDkeyDnEaDtknowCobieDfusDgieDkieDmE2DnDrsCpeyCrabEiDcasDiEsEtDkDothyCubleDdouDgEieElasCwnEtownBr.dementoCaftDgonG1GflIyGsDwDxoDzenCeamFerFsGcapeDwCillpressDnkDppingDverDzztCnoCopE deadEdeadDughtCugnigDmEsCydenBuaneCckEieEsbreathFoupCdeDleyCkeE letoEletoClceCmbassCnbarDcanDdeeDeDgeonsDnCplicateCstinEyCtchFessBvlinsideBwainDneDyneCightBylanAe-mailBachCgerDleF1FsCrlDthCsierDterGnEonDyEcomeEgoElayCtmeDshitHandBckartClipseBddieCenCgarDesCinburghDthCmundCouardCuardGoCwardGsDinFaBe-csCcsCeeEeFeGeHeCyoreBffieBggheadBiderdownCeioCghtCleenCnsteinCrikBkaterinBladioDineDnorCectricDmentDnaEiDphantCiasDna1DotDsabetEsaDzabetIhClaDenDieEotGtEsCmiraDoEotazDstreeCoiseCsieCvinEraEsCwoodDynBmailCeraldCilEeEioEyCmanuelDiEttCoryCpireDtyhandedGeadedBndaEhCemyDrgyCgageDineGerDlandCigmaCriqueCterFpriseDropyCzoDymeBrateaCenityChardCicE1EaEhDkEaDnClingCnestGoDieF1DstCoticCsatzCtyuiopCvanBscortG1CfandiaCmondCpanolCtablishEteDelleDherBtaoinG shrdluGshrdluCeeDrnityChanCoileBuccDlidCgeneCngDjiCropeBvanEsCelynDrafterEyCieBxavierCcaliberHuIrDelEptCploreHrDonentErtDressCtensionCxxtremeByalAfaceDultyCilDrviewEwayEyringDthClconDsestartCmilyG1CncyDgCrahDetheewellDflungDgoneDhadDmerEingDoutDrellDsideDukCsihuddDtEbreakElaneCtanehDboyDcatCustCyeEzBearlessCbruaryCedbackEmeCliciaEksEpeExCnderDrisCreydooDgusGonDmatDrariEetEisBfffEfFfGfHfBictionCdelFityCeldCgaroDleafCleEsystCnanceDdDiteDnConaCreEballFirdEmanEnzeEwalkDstCshE1EerGsFsEheadEieFngDtCtnessCveBlakesDmingoDndersDshCeaDmingDtchGerDursCightDpEperCoatDphouseDresEidaH1DwEerGpotGsDydCuffyDteCyawayDboyDerFsDingGfuckGleapBoghornCngCobarFzDlEproofDtEbalHlCramDbiddenDdDearmEsightFtDkedtoungeDmatDrestDsytheDtuneDwardCsterCulplayDndEtainDrEierEwheelEyearsCxtrotDyladyCzzieBramemakerDnceGsHcIoFineGsHcFoisEkFaFenfurterFieFlinFnfurterDtCeak1FbrothersDdEdieFyEericHkEricDeEbirdEdomEmanDnchG1GfriesDshbreadFmeatCidayDedricEndGsDghtenDscoDtzCodoDgE1EgieHsFyEsDmDnt242FierDshmeatEtyBubarCckE-offFyouEaduckEedFmFrEfaceEingFtElegEmeEoffEuEyouCgaziCllCnctionDgibleEuyDkyDnyDtimeCrballCtureCzbatDzEballGtAgabbyDrielHlDyCdiCelicCgeCilClaEgaExianFyDenDileoCmalDbitElerDesDmaphiCnapathDdalfDjaCoyuanCrciaDdenEnerDfieldEunkelDgoyleDlicDnetDpDrEettEyDthDyCshDmanDtonCtewayH2DorF1DtCussDtamCveEnDrielBedankenCminiCneEralEsisDiusCofEfFreyDrgFeG1FiaGnaCraldErdGoDdDgoryDmanGyH1DonimoDryDtErudeCt fuckedElaidFostEstuffedDfuckedDlaidEostH!EuckyDoutDstuffedBgeorgeCggEgFgGgHgBhandiColamalDstBiancarlEtsCbbonsDsonCffyCgiClbertDgameshDlesDmanCnaDgerGsDoCovanneCridharDlEsCselleCuseppeCveCzmoBlacierDdysCenEdaEeaglesEnCider1CobalDriaBmoneyBnuemacsDsBo awayH!Dfuck yourselfDjump in a lakeDto hellCaheadDlieDtDwayG!CblinEueCcougsCdfleshDivaDzillaCesDtheCfishDoritDuckyourselfChomeCingCjumpinalakeCldEenEfingerGshEieDfEerEingDlumCneDorrheaDzalesHzEoCoberDdE-luckEafternoonEeveningEfightEgriefEjobEluckEmorningEtimesEwifeDfusEyDnightDseCpalonDherDinathCrdanEonDgeousFsDogCslingDonDtraightCtoE hellEhellCugeDldCwestBraceDemeDhamEmDilDmpsDndmaEtDphicHsDtefulIdeadDvisDyEmailCeasyspoonEtDedEnFdayFlineEtingDgE1EgEoryDmlinHsDtaFlEchenEeFlEzkyCiffeyFinDpeDssomDzzlyCoovyDupDverDwCumpyCyphonBsiteBucciCenterDssEtCidoDllermDnnessDtarG1ClukotaCmbyDptionCnnerDtisCozhongCpiCrjotDuCstavoBwenBymnastAh2opoloBackEedFrCfidhDtanCggisChaCiboDleyDrbagGllEilCkanCl9000DlEelujahEoFweenHllDtCmidEltonDletEinDmerGedEondDptonDsterCn-gyooDdilyEwaveHingDkDnaFhDsEelEoloFnEpeteCppeningEyF1G23FdayFendingCrdE2seeEcoreEdiskEiFsonEwareDkaraEonnenDlanEeyG1EotsDmonyDoEldDrietFsGonEoldEyDueEoDvardEeyCsokDsanCttonCuhuaCveDivahCwaiiDkEeyeH1CyesCzelBe'sdeadIjimCalthG1DnDrtFbreakFsDtEherH1H2DvenCbridesCctorCdgehogCeralalDsungCidiDkeEkiDnleinErichEzClenFaFeDgeDlEoF1G23F8FhelloDpE123EerEmeCmantCndersonErixDningDryCrbEertDeDmanEesDnandezDpesDsheyDveDzogCsdeadHjimCungCwlettCydudeDthereBhhhEhFhGhHhBiawathaCberniaCddenCghlandFifeClarieDbertDdaDlEaryEelCroguchEkiEoEshiEyukiCstoireFryCtchcockDhereDlerBoangCbbesEitCckeyG1DusF pocusF-pocusFpocusClaDdDeDidayDlyDyE grailEgrailEshitCmayoumDeEbrewErFjEworkCndaF1DeyDgEkongEphucEtaoDkeyCodlumDkerGsDpsDsierDtersH2011EieCpeDscotchCrizonDnetGsEyDrorDseFsDusCsannaHhDeheadDtCtdogDlipsDrodDtipCucineDseFwifeEtonCwardG93DellDieBplabBsinDuwenCpiceBuangDshengCbbaFhubbaDertCdsonCeyCghEesDoDuesCiyingCmmerCndtDgEmokDterEingCongCrtCsbandDkersEiesDtlerCtchinsCyenCzurBwansooBydrogenFxylCmanConDungCukAi'mokFayBabgBb6ub9CanezCeleiveEieveCmpcFatFxtDsuxCrahimBcapCecreamDmanConBdenticalCiotContknowBf6was9CorgetFotBgnacioEtiusCuanaBhackedDoDteyouCtfpBiiiEiFiGiHiBkonasCuoBlanCmariCoveuFyouCyaBmageEineCbroglioCinCokEayCpactElaDerialCslBncludeCderpalDianGaEgoEraDonesiaDraCfoErmixCgemarDmarDoDresGsEidDvarCheritthewindCigoCnaDocentFuousCsaneDertionDideEghtDtEallEructCtegraHlElErcourseFleafFnGetFracialDoDrepidCvinoveritasEsibleEteCxsBoanaCmegaCngBrelandDneFeCfanCinaDsEhFmanClandeCmaDeliConmanCulianCvingBsaacDbelGleDjokeCelChmaelCidoreDlDsClandCmailCraelDealCsamCtoBt'sajokeEokGayCaliaEyCsajokeDokFayDy-bitsyEbitsyCty-bittyEbittyBuytrewqBvanBzzyAj0kerB1l2t3BackEieG1EolanternEsonDobDquelineGsCdeCegerDjinCggerDuarChanshiCikEneEumarDmeDnCkeEyDovCmaicaDesF1FbondDieElahEsonDjamCnaEkiDeEkElEtDiceEeDnEaEyDuaryDvierDyCpanFeseDonCredCshoEvantDminGeDonF1DpalEerCtinCvedDierCwsCyantaGhDneDsonCzzBeanE-baptisteFclaudeFfrancoisFmichelFpierreFyvesEandaEclaudeEetteEfrancoisEineEmichelEneFieEpierreEyvesCdiCepcjG7EsterCffEeryEreyH1ChanClloEystoneCniferDkinsDnEiFeFferEyF1DsEenCraldDemyDomeDricFmyEyDseyCsseF1EicaFeDterDusF1FchristCthroGhGtullDta1CudiCwelsBiachenDnEliEnEpingEwenChongCkunCllCmboFbDiDminEyCngDshengCongCseongCtendraCxianBjjjEjFjGjHjBkl123D;BnyeBoanEieEnFaFeDquimCcelynCdyCelEleDnaDrgDyChanFnGaH1DnE316ElennonEnyEsonCinE for freeEforfreeCjiDoCkerF1CleCnathanDellEsDgE-iEguDiDnyCrdanG23EieDeanDgeCseEeEphDhEuaDiahEeCurEneyCyceBsbachBuanCbileeCdasDiEantoEcaelEthDyCggleChaniCi-fenDcyDlletDnClayneDesDiEaF2FnGaGnEeF1FnGneFtGteDyCmanjiDboDeauxDpE in a lakeEinalakeCneEbugDgleDiEorEperCpingEterCssiDtEdoitEeEfortheEiceH4FnG1GeCttaBvncAkacyCdoshCkaDogawaCl007DamazoEppaDiDyanEnCngEarooCosCraEleeDenF1DieEnFaFeDlDmaDyEnCseyDhtanCteErinaDherinIeEiEleenEreenFineFynEyDiEeF1EnaDrinaDsufumDydidCvehCylaEenBcinBeciaCepEerEoutDsCithF1CllerFyEyF1DseyCndallDjiDnedyFthEyDobiDtEonDzoCralaDberosDiDmitDnelDriFeEyFaCshavDterCtanDchupCvinF1CwlCyboardDpadBhanEhDyrollCoanhDiDngDsrowCuehF-hoDrsheeBianEgEuschDtCdderDsCeuCllerEmeDroyCmberlyDmoDonCndEerDgEandiEdomEfishElearEsDsonCranDkElandDstenCssEa2EmeCtkatDtenG12GsEyFcatCwiBjhgfdsaBkkkEkFkGkHkBlausCeenexCingonHsBnickersFsDghtGsCowCuteBoalaCichiCjiCkakolaDoCmbatCngjooDradCokCrdaBraigDmerCisEhnaHmEtaFenFiGeGnHaHeFyCystalFynaBurtBwanEgCokDngByahnCeongsoCleCraAlab1DtecCcrosseCddieDiesDleDyEbugCgerCidCkeErsDotaDshmanClitFhGaCmbdaEertDerDinationCnaDceFrDdryCpinCraDissaDkinDryF1DsonCserFjetDsie1DtEangoEtangoCtenightCughDraFeFmaeEelFnGceGtGzEieFndaEyCwrenceDsonDyerCzareFusBeaderDfDhDnnFeCbesgueDlancCd-zeppelinDdzeppelinDzepGpHelinCgalDendErChi3b15CisonEureClandCmonCnaDnonDoreConEardEceEidCroyCsbianDlieDpaulDtatEerCticiaDliveDmeinDoDsgoDterGsCwisCxus1BibertyDraFryCckEerDorneCenDwCfeCghtFsCkeCllianEyDyCmaDitedCncEolnDdaEsayFeyEyDgDhConEelEkingEsCsaDeDpDsabonDtCtterboxEleGhouseGshitIopGtoeCveEandletliveEnletliveErpooIlEsDiaEngCwanaCzaErdDzyBjiljanaBkjasdDhEgFfGdsDlkjBlewellyCllElFlGlHlCoydBmnopBochDkEoutCganDgerDicalEnDosEutCisElaneCkeDiClaDitaDopcCndonDelyEstarDgEcockEerEhairFornErestEtoungeCokDneyDseEingCpezCrenFzoEttaDiEeEnDnaDraineEieDyCserDtCtfiDusF123CuieEsFaFeDnetteDrdesCveElyEmeErFboyFsEyouCwgradeDlifeBpadminBtteBuanaCcasDiaEeFnEferElleDkyF1G4FbreakFladyDyCigiDsDzCkeCluCmiereCnarlanderDdiDeDgCongCtherBydiaEeCleCndonDetteDnEeAm1911a1BaartenCchaEineDintosIhDkDrossDse30EymaCdboyDdieEockFgDeEleineGneFineDhuFsudDisonDmanFxDokaEnnaDyCgdalenDgieEotDicF1EqueDnumChbubaDeshDlonDmoudCiaDdenDlEerEinglistEmanDneEsailEtCjorFdomIoCkeEbreadEdrugsEitGsoEloveEmeFydayEpeaceEwarDingitGloveDotoClcolmFmDibuDlardCnagemeGrEhilDbatDchesterDdyDfredDgeshEueDiEshDoharEjEnDsetmanisEonDtraDuelDyCplesyrupCraEthonDcEelGlaHeHinEhEiFaFoEoEusEyDdiDekDgalitFretGidHtFuxEeFauxEieEoEueriteDiaF1FhG1FnGneEeF-madeleineFlleFttaHeElynEnaFeGrFoEoFnEposaEtialEusDjoryDkE1EetEoEusDlboroEenaGeFyDniDriageEucciDsEhalHlDtEhaFeEiFalFnG1GeHzGienHqEyDvinDyEamFnnEjaneDzecCsahiroDeDh4077DoudDsEcompDterG1GsDuhiroCthE-csEildeDildaDrixDtEherGwFiasGeuEi1FnglyCudeDiDreenEiceGioEoCvericHkCximeEneDmaxDwellHsmartCydayCzda1DinBeaganDtEcleaverEloafEwagonCchEanicCdardDiaEcalCekieCgaEdethEnDgieCisterClaineEnieDinaFdaEsaFsaDlaEonDodyDtinCmberGshipDoryDphisCndelDsuckCowCrcedesFrErediEureGyDdeDesDlinEotDmaidDrellEillEychristmasCtalFlicDroDsCxicoBiamiCchaelH.H1FlEelG1GeGlHeEiganEouEyDkelFyG1EyDroFsoftCdnightDoriDvaleDwayCghtDuelChailDranCkaelDeE1EyDiDkoClanoDdredDesDindDkDlardEeniumFrEicenFeFonDoDtonCmiCndyDeEdErvaDgEheDhDimumDnieDotEuDskyDyeCracleEgeEndaDiamDrorCsanthropeDhaEkaDogynistDsionFrliEyDtyCtchFellDtensBmmmEmFmGmHmCouseBnbvEcFxGzBobileDydickCdelsEmEsteDulaCgensDulFsChamedFmadGedEnCisesEheCjaDoCllyF1DsonGgoldenCndayDetEyF1DiEcaEkaEqueEtorDkeyG1DopolyDroeDsterDtEanaH3EhErealFoseEyCocowDkieDmooDnEbeamEpieDreEhtyDseFheaIdCparCraDeEcatsDganDleyDoniDpheusDrisDtEimerEsCseDheCtherDorFolaEwnCuntainDseF1FmatEumiCviesCwgliCzartBr.rogerCcharlieCgoodbarCwonderfulBt.xinuCichellCxinuBuad-dibEdibDmadinCchCffinChammadCkeshDundClderG1CnaishDchkinDdeepCrphyDrayCscleDicFboxEmDtangH1CtantBycroftxxxHyyyCpasswdHordCraDonDtleCselfDmutCungF-yuAnabilCdegeErDiaEneCftalyCgelCissanceCkamichiCliniCncyDetteComiDtoCpoleonCrcisoGseDendraCsaDcarDtyCtachaEliaGeErajaEshaDhalieFnGaeGieDionGalIeEviteCuticaCveenEtteBcarCc1701HdHeBe1410sE69Ea69CalDrmissCbraskaCckrubCenieCilCkoCllieDsonCmesisCnaCpentheIsDtuneCrmalCsbitGtDsDtleEorCtlinksDmgrDscapeDwareEorkHsCutrinoCvadaDerDilleCwaccountDbloodDcourtDkidGsDlifeDpassDsDtonDuserHsDworldDyorkH1CxtDus6BghiCocCuyenBicaraoDholasGeDkElausDolasFeCelCgelDgerDhtmareFshadowFwalGindChaomaCkeDhilDiEtaDkiDolaosClsonCmhDrodCnaDersDoEnDtendoCrvanaH1CssanEeCtaDeBnnnEnFnGnHnBoamCbodyDuhikoEkoCelCfunCkiaClanCmoreCndetDeE1CpassCraDbertDeenEneDikoDmaFlFnDthwestEonCsecretDhirCtebookEsDgayDhingDreFspassDta1DusedCuveauCvacancyDellEmberGreCwayCxiousBroffBuclearCggetCkeEmCllCmberG1G9GoneGsCrseEieCtmegDritionCucpByquistAoatmealCxacaBbi kenobiEwan kenobiD-wanDwanCsessionBceanFographyDlotCtaviaDoberFreBdetteCileEonBfficeBhshitCwellBicu812CvindBjrindBldladyDpussyCinDveFrFttiEiaFerClieCsenBmeadDgaBnceCionringsClineDyCstadBoooEoFoGoHoCpsBpenEbarEdesktopFoorEsaysmeFesameEupDrEaFtorCusBracleDngeGlineGsCcaDhidCegonDoCgasmCionClandoCvilleCwellBscarCirisCullivaCwaldBtharDerCterDoBu812CssamaCtlawDtolunchBverEkillEthrowFimeBwenCnsBxfordBzzieDyApaagalCcersDificGqueDkardEerGsEratCdaaaDdyDmaDoueCgeCigeDnlessEtFerCkistanCladinDlabDmerDomaCmelaDpersCncakeDdaEoraDicDteraEherEiesCpaDerFsDiersDpasCquesCradigmEllelEnoiaEskevDfaitDisDkEerEinsDolaDrotDtEnerEonDvizCscalDsEionEwdForHdI1IlookhereCtchesDelErneDriceGiaGkFotsDsyDtersonEiEonEyCulEaEeEinGeCvelCwanCymanEentDtonBcatCxtBeaceEhFesDnutGbutterGsDrlFjamCbblesCcheFurHsCdroF1CeblesDweeCgasusDgyCkkaClagieCncilDelopeDguinDisDnyDtecoteEiumEtiCopleDriaCpperDsiCrakaDcolateEyDesEzDfectEormaDryDsimmonEonGaDvertCteErF1FkFpanFsonEyDuniaCugeotDrBgonderinBhamDntomCialphaDlEipGpeGsElipHsDshFyCoenixH1DneDtoCrackDeakDickCyllisBianoF1FmanFsCcardEssoDkEleDtureCerceEreDterCgeonDletCmpCngDkEfloyIdConeerDtrCpelineEorganEr1CrateDieCscesCzzaBlaintruthDneFtDtoDyEboyEerGsEgroundCeaseCierCoverCughDmbrandyDsDtoFnCymouthBocusCeticEryCirEeDssonHsDuEyFtGreClarFbearFisDeDiceEticsDlyDoDynomialCmmeCnderingDtiacCohEbearDkeyEieG1CpcornDeEyeDpyCrcDkEyDnEbayEmanEoFgraphyDscheH9I11J4DterElandEnoyCstelFrCwellErFtoolBpppEpFpGpHpBrabhakaFuEirDdeepDiseDnabDsadEhantDtapEtDvinDyerCeciousDdatorDludeDmierDsenceGtEidentEtoGnDttyGfaceDvisionCiceDmusDnceGssGtonEtFempsGrFingDscaDvEateEsCoducersDfE.EessorEileDgramDmetheIusDnghornDpertyDsperDtectFlEozoaDviderCudenceBsalmsCychoBublicDusCckettCddinCllDsarCmkinpieDpkinCneetDkinCppetEiesEyF123CrnenduDpleCssyF1ByramidDoCthonAq1w2e3BianCnsongBqq111DqEqFqGqHqBualityCebecDenFieDntinDstCocBwaszxCerEtFyG12GuHiAr0gerB2d2BabbitG1CcerFxDhelGleEmaninoffDingDoonCdarDhaDioCfaelDfiDikiCghavGanEuDunathCidEerGsHofthelostarkDmundDnEbowEdropDssaEtlinCjaEdasaDeebFvEndraDivCkeshCleighDphCmachanEnaFiEraoDboF1DeauxEshDirezDonCncidDdalGlEolphFmEyF1DgerGsDjanCoulCptorCquelCscalDtaF1FfarianFmanCtioCvenFsDiCymonaGdBeadEerEingDganDlEfriendEityElyEthingFimeCbeccaElsDootCdbaronErickDcloudDdogDfishDlineDmanDrumDskinHsDwingEoodCebokDdDferCggaeEieDinaGldEonalEsCineCliantCmemberDiDoteDyCnaudFltDeEeEgadeDgarajCplicantDomanEnseDtileDublicCquestEinCscueDearchFuCtardCvolutionCynoldsCzaDnorBhettCinoCjrjlbkConaEdaBiacsCbsCcardoH1DcardoDhEardH1HsIonEmondDkEiEyCddleDeCff-raffErafHfDrafGfCghtCleyCngoCpperEleCscCtaCverFaDiBoadE warriorErunnerEwarriorCbbieEyDertG1GaGoGsDinFhooIdFsonDleyDocopEtFechFicsDynCcheFlleFsterDkEetG1EieEnrollEonEyF horrorF1FhorrorCdentEoDgerDmanDneyDolpheDrigueIzCgerF1FsChitCknyClandGeDexDidexDlinCmainEnFoEricDeoDmelDualdElanHsDyCnakEldDenDiEnEttCokieDsterDtEbeerCpingCsaElieDeEbudElineEmaryEsDieEneDsEignoCthCugeEhDletteDndDte66CxanaDyCyalFsBrrrErFrGrHrBtwoEdtwoBubenDyCdolfDyCeyCfusCgbyDgerEieriCknetClesCnnerEingCoxinCshDsEelGlDtyCthEieElessCyeByanCoheiDtaAsaabE900H0EturboCbbathDinaFeDrinaCcreCdeDieCfaaDetyG1DwatCgittaireCidDfallaDgonDkumarDlingEorDntFeCktiDuraCl9000DahEsanaDesDleEyDmonDomeEneDutCmadamsEnthaDediDiamErDmieEyDpathEleGrEsonDsamEonDtaneyDuelEraiCnchezDdersHonEgorgEiEraFineEsmmxEyDfranHciscoDgEbangEoDhDiDjayEeevEoseH1DtaEiagoFsukEoCphireDphireCraEhF1DojCshaEiDkiaDsyCtoriDurdayFnG5GeGinCulDvignonCvageDeCwedoffCxonBbdcBcamperDrecrowEletHtChemeDnappsDoolDroedeCienceDubbaCoobyGdooEterH1DrpioHnDtEchEtF1FieFyDutFsCreamDofulaEogeDuffyCubaF1DmbagBdfghjklBeabreezeDnDrchDttleCbastienCchangDretG3DurityCekerDmeChoCigneurDveCkharClftimeCmperfiCnditDiorDsorConghooDulCptembeIrHreCquentCrenaFityDgeFiFyDverEiceHsCsameGstreetCthDupCungFhyuFkuCvakDenF7ErinCxfiendDxxmeDyEteenCymourBhadowG1GsEysideDeDggyDhrokhDkespeareDllEomDmitaDnEaEghaiEnanFonFyEtanuFiDolinDradEcEiFynEkFsEleneEonEraDshankFiEtaDunDvedFnDwEnDyneDzamEzamCebaDelaEnaDffieldDilaDlEbyEdonEiaElFeyFyEterDnEgFluDpherdDrifEriGeFyEylCiahnDdanDgenarFoDhEmingDmonDnEobuDpDrinElFeyDtE-headEfacedForbrainsEheadDueDvaFpraEersDzoomCleeDomoCoesDgunDlomDmitaDoterDrtyDtgunDutDwEerEoffCrdluDeeramCuangDhuiDnDtdownEtleCyngBidartaDekickDhartaDneyDoineCemensDrraCgmachiDnalFtureCllywalkDverGeEiaCmbaF1DmonsDonDpleFyEsonHsDsimCnaEtraDgEerEleCobahnCriEusCsterCteCupingCvakumaCxtynineCzenineBkateFrCeeterCibumDdooDingDnnyDpEperH1FyCullDnkCydiveDlerDwalkerBlackerDyerCeazyDepFyCickDderDmeballDnkyDpCusDtBmallFcockFhipsFtalkGipsDshedFingCegmaCileF1FsFyDthFsEtyCokeFdhamFyDochDtherCurfyDtBnafooEuDkeFsDppelGrFleDtchCeezyDllCickerHsDperCoopFdogFyDrkydorkyDwEbalHlEflakeEingEmanEskiCuffyBoapCber1CccerG1EorDrateHsCd offDoffCftEballClangeDeilDomanFonCmanEsamaDbreroDeEbodyCndraDgmiaoEnianDiaEcFsDjaDnyDyEaConEmanDwonCphiaFeEomoreCrelDoorCssinaCtirisCuaDmitraDndDrceEireFsEmilkDvenirBpaceFmanDinDmDnishEkyDrksFyErowHsEtanDzzCecialEterFreDechEdFoFyDnceGrChynxCiceDderGmanDffFyDkeF1DritGuHsanctuEoFsDtEfireClifFfCockDngeDokyElerEnDrtsDtCrangDingGerEteDocketCudDnkyDrsCyrogyraFsBquashDiresFtBridharDmatDnivasBsssEsFsGsHsBtaceyEiFeEyDinlessDlkerDmosDnEislasEleyFyEtonDrE warsE69EbuckEgateElightEsFhipEtFerFrekEwarsDtEesEionEusCealthDelFeGrsDfanGoDllaDmpleDphF1FaneHiIeHyFenFiFonDrlingEn93DveF1FnG1GsFrDwartCickshiftDffdrinkFprickDmpyEulateDngF1FrayEkyDversCocksDneDpDrageEemEmFyCrangeHrGleEtFfordFoGcasterEwberIryDetchDiderDongCtngCuartDdEentH2EfuckEioElyDffedHturkeyDmpyDpidDttgartBubgeniusDhasEdailEednuDodhDscriberDwayCccesGsDkEerEmeErocksEsCdeshnaDhakarEirDirCesecCgarFbearDihCkumarCltanDuCmmerEitDuinenCn-spotDbirdDdanceFyDfireEloweIrDgDilDnyF1FvaleDriseDsetEhinHeDtoolsDweiCperFflyFmanFstageIrFuserFvisorDportHedDraCranetDeshDfEerEingCsanF1FnaGeDhaEilaDieCttonCvenduDroCzannaGeDieDukiDyBvenDrigeBwampratDneEsonCearerEtshopDdenDetieFnesFpeaFsFyCimEmerFingDngsetDtzerCooshDrdfishByamCbaseDilCdneyClvainEereFsteHreEiaFeCmbolDmetryDultCphilisGlisCs5DadmGinDdiagHsDlibDmaintFnEgrDopDtemG5GfiveGvFstDvAt-boneBabathaCcobellCdahiroDlockCffyCiwanCjenCkaEjiEshiDeE5EfiveEiteasyDujiClonCmalEraEsDiEeDmieEyDtamCndyDgerineEoEuyDiaDjuDkerDnerDyaCpaniEsDeCraDdisDgasEetDheelDragonDzanCshaCtaDianaDsuoDtooDumCureauEusCyfurDlorCzdevilDmanGiaBbirdBchenCp-ipD/ipDipBeacherHsDkettleDpartyCchEnicalFoCddiEyF1FbearCenEagerEeyEfanEyCflonClecastFomEphoneDlDnetCmpEoralEtationFressCnnisDtationCquilaCresaDiDminalDreEiFllEyF1CstE1F23E2E3EcaseEerEguyEiFngEtestEuserCtrisDsuoCxasBgifBhaddeusDilandIeDnEasisEhEkFgodFyouDtEcherDvyCeatreDbeefEirdsEossEutlerDcleDendDgreatescapeDirDjudgeDkingHandiDloraxDmEanEonkeyDnDodoraHeEphileDpenguinEroducersDreFalthingFsaGeEiddlerEonDseDyCiamDbaultGtDckcockFheadFskinDerryDlakaDnkEthighsDsEisitCoiDmasEpsonEsonDrneEstenDseCrasherDeeCumperDnderHbIallIirdHdomeDrsdayDyCx1138BianCffanyCgerF2FsDgerDhtassFcuntFendFfitDreCjunCkaCllCmberDeEzoneDothyCnaDgDkerGbellDmanDtinCreswingCtanicDsCzianoBjahjadiBobiasDyCdayDdCgetherDgleChruCkyoClkeinEienCmateFoDcatDmyCneDiDyColDsillyDtsieCpcatDgunDherDographyCrcDnadoDontoDresDstenDtoiseEueCshiakiFbaFterDnowCtalDhedarkDo1EtoCucanDficDrDssaintCveCxicCyotaDsrusBraciFeEtorEyDilblazerFerFsEningDnEsexualFferGigurationFitFmitFportDpdoorEperDshFcanDvailEelEisCeasureDborDeEsDkDntDvorCialDbbleHsDciaEkyDdentDeuDnaDshFaEtanDtonDvialDxieCoffDjanDmboneDnDphyDubleEtDyCucEkFerFsDefriendEloveDmanEpetDstno1CyaBsingF taoF-taoFtaoCungDtomuBtttEtFtGtHtBuanCbaEsCckerDsonCesdayClaDlCnasaladGndwichComasCrboF2DnerEleftErightDtleCttleCyenBwat123CeetheartFyDnexCilaDnsBylerF1BzilaCuwangAudayBhn-soonDsoonBlricFhCtimateBmeshBndeadErgradJuateCguessableChappyCicornFsDformEyDgrafixDqueDtedEyDxE-to-unixHunixEmanEsuckGxCknownDownCtungBpchuckConCperclassCsilonDtillCtohereCyoursBranusCbainCchinCsulaBsenetEixDrE1EmaneEnameEsBtilEityCopiaCpalBucpCuuEuFuGuHuAvacationCderCheClentinIeErieGoDhallaDleyCmpireCnceDessaDillaCrkeyCsantGhDonDsilioCughanBectrexFixCdayDderCljkoDoDvetCnceslasDdrediDetoDiceDkatGadHrGesDtureDusCrilogDmontDnonDonicaGqueDseauDtigeGoDyCteransDteBianneyCbekeDhuDratorCcesquadDkiFeEyDtoireFrG1GiaHenGyCdeoCergeCgyanCjayFaCkingGsDramCllaFgeDmaCnayDceFntH1DitFhaDodFhColetEinCperF1CragoDgilFnGbirthGiaHeHoDusCsaEvisDhvjitDionEtFationForDpiDualDvanatCttorioCvekDianGeEenBjdayBladEimirCsiBmssucksDucksBojinClcanoDleyGbDvoCodooCrtexCyagerBt100C52BvvvEvFvGvHvAwadeCitingCldenEoDeedDidDkEerDleyeEyDterCndaEojoDgDkEerDtEmenowCrcraftDdDezDgamesDlockDmEweatherDnerDrenEiorHsDsDthogCshEingtonCterF1FlooDsonCvesCyneF1BeaselCbetoysDheadDmasteIrDsterCdgeCenieEyDzerCidongDhengDnrichDpingClchEomeH1DlDsherCndelGlEiEyF1DgyikDtCreCsleyDternBhale1FsDtEchamacallitEeveHrEnotEsupHdocCeelingFsDnDreFisthebeefFsthebeefDyCichDskyDtEeEingEneyCocaresDlesaleDopieFyDreDvilleBibbleCckedClburDdcatFhildDfriedDlEenEiamH1HsIburgFeEowEyDmaDsonCn95DdEowGsEsurfDfredDgDnerEieGthepoohDonaDstonDterCredCsconsinDdomDhCthDnessfortheprosecutionCzardGsBojtekClfE1EgangEmanDverinIeFsCmanDbatG1DenCnderGboyHreadDgDyunCobieFnEyDdElandErowEstocEwindEyDfwoofDiyiCpperkennyCrdDkDldDmwoodCuldBqsbBranglerCestleCightDteBuntsinBwwwEwFwGwHwBxyzByldchydCnneComingAx-filesCmenBanaduDthCvierGeBcountryBferCilesBgenerationBiaoEboEgangEliEminCnghaoDuBmodemBrayBueqingBwindowsBxfreessxxCpassxxCsnowxxCx123DxExFxGxHxByz123DzyAyabbaF-dabba-dooFdabbadooCcoCelCmahaCngDjunDkeeGsCominCserBelloFwGstoneCngConEgCziBiannisCgalChuaCngEshaEyangCshunBodaDudeCgeshDibearCichiClandaCmamaCnahDgEdongEhoFwanEsamCsemiteDhiakiFoCu'reokDareokDcefDhanseDngDrEeokEselfBuanCehwernCgangCjiEkoCkaDkeiDonCmiEkoCngCqianCvalBvesDtteConneByyyEyFyGyHyAzacharyDkCpataDhodCryBebraFsCna69DerFdiodeDithCphyrDpelinElinCusExBhaoqianEzhuaCengkunEyanCigangDshunDweiDxinCongguoFminBiggyDzagCmmermanCnfandelCtaCyouBmodemBoltanCmbieCndaComerCranDkEmidDoDroBuluBxc123DvEbFnGmBz-topCtopCzzEzFzGzHz");
+    /**
+     * @method displayTime
+     * @static
+     * Convert a number of seconds to a rounded, human-readable duration (ex. "3 hours").
+     * @param seconds {Number}
+     * @return {String}
+     */
+    Entropy.displayTime = function (seconds) {
+        var units = Entropy.TIME_UNITS, msg = Entropy.MESSAGES, i, n;
+
+        if (seconds < 1) { return msg.lessThanASecond; }
+
+        for (i=units.length-1; i>=0; --i) {
+            if (seconds >= units[i].seconds) {
+                n = Math.round(seconds / units[i].seconds);
+                if (i === units.length-1 && n >= 100) { return msg.centuries; }
+                return n + " " + (n === 1 ? units[i].name : units[i].plural);
+            }
+        }
+        return msg.lessThanASecond;
+    };
+
+
+    /**
+     * @method normalize
+     * @static
+     * Apply Unicode NFKC normalization so that characters with several encodings (ex. a
+     * precomposed "é" and "e" followed by a combining accent) or compatibility forms (ex.
+     * full-width "ｐａｓｓ") are scored the same. Returns the password unchanged where
+     * String.prototype.normalize is not available.
+     * @param pw {String}
+     * @return {String}
+     */
+    Entropy.normalize = function (pw) {
+        return (typeof pw.normalize == "function") ? pw.normalize("NFKC") : pw;
+    };
+
+
+    /**
+     * @method countChars
+     * @static
+     * Count the characters of a string as a user sees them (grapheme clusters): an accented
+     * letter, an emoji with a skin tone or a family emoji are one character each. Uses
+     * Intl.Segmenter where available, otherwise counts code points, ignoring combining marks,
+     * variation selectors and what follows a zero width joiner.
+     * @param pw {String}
+     * @return {Number}
+     */
+    Entropy.countChars = function (pw) {
+        var starts = graphemeStarts(pw), n = 0, i;
+
+        for (i=0; i<starts.length; ++i) { n += starts[i]; }
+        return n;
+    };
+
+
+    /**
+     * Guesses per second for each attack scenario used by calcCrackTimes:
+     * onlineThrottled - attacking a login form limited to 100 attempts per hour,
+     * onlineUnthrottled - attacking a login form with no rate limiting,
+     * offlineSlowHash - cracking a stolen password database hashed with bcrypt, scrypt, ...,
+     * offlineFastHash - cracking a stolen database hashed with a fast hash such as SHA-1 on many GPUs.
+     */
+    Entropy.ATTACK_RATES = {
+        onlineThrottled: 100 / 3600,
+        onlineUnthrottled: 10,
+        offlineSlowHash: 1e4,
+        offlineFastHash: 1e10
+    };
+
+    Entropy.TIME_UNITS = [
+        {seconds: 1, name: "second", plural: "seconds"},
+        {seconds: 60, name: "minute", plural: "minutes"},
+        {seconds: 3600, name: "hour", plural: "hours"},
+        {seconds: 86400, name: "day", plural: "days"},
+        {seconds: 86400 * 31, name: "month", plural: "months"},
+        {seconds: 86400 * 365, name: "year", plural: "years"}
+    ];
+
+    // Passwords shorter than this are always told to add more words
+    Entropy.MIN_LENGTH_FEEDBACK = 8;
+
+    // Passwords with at least this much entropy (the default "good" range) get no feedback
+    Entropy.MAX_ENTROPY_FEEDBACK = 56;
+
+    /**
+     * Text of the feedback warnings and suggestions and of the crack time display. Replace the
+     * values to translate them.
+     */
+    Entropy.MESSAGES = {
+        commonPassword: "This is a commonly used password.",
+        commonWord: "Common words are easy to guess.",
+        userInputs: "Passwords containing your name, username or email address are easy to guess.",
+        keyboardRow: "Straight rows of keys are easy to guess.",
+        keyboardPattern: "Short keyboard patterns are easy to guess.",
+        repeatChar: "Repeated characters like \"aaa\" are easy to guess.",
+        repeatBlock: "Repeats like \"abcabc\" are only slightly harder to guess than \"abc\".",
+        sequence: "Sequences like \"abc\" or \"6543\" are easy to guess.",
+        date: "Dates are often easy to guess.",
+        year: "Recent years are easy to guess.",
+
+        useFewWords: "Use a few words, avoid common phrases.",
+        noNeedForSymbols: "No need for symbols, digits, or uppercase letters.",
+        addWords: "Add another word or two. Uncommon words are better.",
+        l33t: "Predictable substitutions like \"@\" instead of \"a\" don't help very much.",
+        reversed: "Reversed words aren't much harder to guess.",
+        capitalization: "Capitalization doesn't help very much.",
+        avoidKeyboard: "Avoid keyboard patterns.",
+        avoidRepeats: "Avoid repeated words and characters.",
+        avoidSequences: "Avoid sequences.",
+        avoidDates: "Avoid dates and years that are associated with you.",
+
+        lessThanASecond: "less than a second",
+        centuries: "centuries"
+    };
+
+
+    /**
+     * The registered dictionaries, by name. Every dictionary is checked by isDictWord and
+     * matchDictionary. See Entropy.addDictionary.
+     */
+    Entropy.dictionaries = {};
+
+
+    /**
+     * @method addDictionary
+     * @static
+     * Register a dictionary, replacing any dictionary already registered under the same name.
+     * @param name {String} Name of the dictionary (ex. "company").
+     * @param words {String|String[]|Object} The words. Either a packed list (see packDictList),
+     *      a newline separated list, an array of words or a hash whose keys are the words.
+     * @param opts {Object} Optional.
+     *      @config format {String} "packed" or "list". Default is "list": a string is read as
+     *          newline separated words (so "AcmeCorp" is one word) unless "packed" is given.
+     *      @config weight {Number} Multiplier applied to the number of guesses needed to find a
+     *          word from this dictionary. Use less than 1 for words an attacker would try first
+     *          (ex. the company name). Default is 1.
+     * @return {Object} The dictionary: {name, words, size, maxLength, weight}.
+     */
+    Entropy.addDictionary = function (name, words, opts) {
+        return (Entropy.dictionaries[name] = buildDictionary(name, words, opts));
+    };
+
+
+    /**
+     * @method removeDictionary
+     * @static
+     * Unregister a dictionary.
+     * @param name {String} Name of the dictionary.
+     * @return {Boolean} "true" if the dictionary was registered.
+     */
+    Entropy.removeDictionary = function (name) {
+        var found = (name in Entropy.dictionaries);
+        delete Entropy.dictionaries[name];
+        return found;
+    };
+
+
+    /**
+     * @method loadDictionary
+     * @static
+     * Download a newline separated word list, or a packed one with opts.format "packed", and
+     * register it as a dictionary.
+     * @param name {String} Name of the dictionary.
+     * @param url {String} Where to download the word list from.
+     * @param opts {Object} Optional. Same as for addDictionary.
+     * @param callback {Function} Called with (error, dictionary) once the list is loaded. "error"
+     *      is null on success, or an object with "name", "message" and "status" attributes.
+     */
+    Entropy.loadDictionary = function (name, url, opts, callback) {
+        if (typeof opts == "function") { callback = opts; opts = null; }
+        callback = callback || function () {};
+
+        Entropy.request("GET", url, {
+            errorName: "DictionaryLoadError",
+            errorMessage: "Could not load dictionary from " + url
+        }, function (err, text) {
+            callback(err, err ? null : Entropy.addDictionary(name, text, opts));
+        });
+    };
+
+
+    /**
+     * @method request
+     * @static
+     * Make an HTTP request and call back with the response text. Uses fetch where there is no
+     * XMLHttpRequest (Node 18+, web workers), else XMLHttpRequest. Used by loadDictionary, the
+     * breach check and the remote estimator.
+     * @param method {String} "GET" or "POST".
+     * @param url {String}
+     * @param opts {Object} Optional.
+     *      @config headers {Object} Request headers. Default is none.
+     *      @config body {String} Request body. Default is none.
+     *      @config errorName {String} "name" of the errors passed to the callback. Default is
+     *          "RequestError".
+     *      @config errorMessage {String} "message" of the errors passed to the callback when the
+     *          request fails. Default is "Request to <url> failed".
+     * @param callback {Function} Called with (error, responseText). "error" is null on success,
+     *      or an object with "name", "message" and "status" attributes ("status" is 0 if there
+     *      was no response). Never called from inside a Promise, so an exception it throws is
+     *      reported as uncaught rather than as an unhandled rejection.
+     */
+    Entropy.request = function (method, url, opts, callback) {
+        var headers, body, init, xhr, h;
+
+        opts = opts || {};
+        headers = opts.headers || {};
+        body = (opts.body == null) ? null : opts.body;
+
+        function fail(status, message) {
+            callback({
+                name: opts.errorName || "RequestError",
+                message: message || opts.errorMessage || "Request to " + url + " failed",
+                status: status
+            }, null);
+        }
+
+        // Node 18+ and web workers have fetch but no XMLHttpRequest
+        if (typeof XMLHttpRequest == "undefined" && typeof fetch == "function") {
+            init = {method: method, headers: headers};
+            if (body !== null) { init.body = body; }
+
+            fetch(url, init).then(function (res) {
+                return res.text().then(function (text) { return {ok: res.ok, status: res.status, text: text}; });
+            }).then(function (res) {
+                setTimeout(function () {
+                    if (res.ok) {
+                        callback(null, res.text);
+                    } else {
+                        fail(res.status);
+                    }
+                }, 0);
+            }, function () {
+                setTimeout(function () { fail(0); }, 0);
+            });
+            return;
+        }
+
+        if (typeof XMLHttpRequest == "undefined") {
+            fail(0, "XMLHttpRequest is not available");
+            return;
+        }
+
+        xhr = new XMLHttpRequest();
+        xhr.onreadystatechange = function () {
+            if (xhr.readyState !== 4) { return; }
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                callback(null, xhr.responseText);
+            } else {
+                fail(xhr.status);
+            }
+        };
+        xhr.open(method, url, true);
+        for (h in headers) {
+            xhr.setRequestHeader(h, headers[h]);
+        }
+        xhr.send(body);
+    };
+
+
+    /**
+     * @method packDictList
+     * @static
+     * Pack a list of words into the format read by unpackDictList.
+     */
+    Entropy.packDictList = packDictList;
+
+
+    /**
+     * @method unpackDictList
+     * @static
+     * Convert a packed list of words to a hash for easy word lookups.
+     */
+    Entropy.unpackDictList = unpackDictList;
+
+
+    /**
+     * @method l33tSubstitutions
+     * @static
+     * The ways of undoing the l33t substitutions of a lowercase password that isDictWord and
+     * matchDictionary try: an empty map, then at most Entropy.MAX_L33T_SUBS complete ones.
+     */
+    Entropy.l33tSubstitutions = l33tSubstitutions;
+
+
+    // The built-in word list
+    Entropy.DICT = Entropy.addDictionary("default", "A!@#$%F^G&H*A.,mnEbA/.,mEnFbBdev/nullBetc/passwdBusr/groupA0000E0F0G0H0D7C7007B213C46D9A1022D9E3F8Csne1B111E1F1G1H1B209C12E12D3D4D7C25C3098D123D321D4E5F6G7H8EqwerDabcDgoB313E13D6C32C579B412C30C430B701dC1717B812overtureD8E18B900D1D2D3D4D5D6D7D8D9C10D1D2D3D4D5D6D7D8D9C20D1D2D3D4D5D6D7D8D9C30D1D2D3D4D5D6D7D8D9C40D1D2D3D4D5D6D7D8D9C50D1D2D3D4D5D6D7D8D9C60D1D2D3D4D5D6D7D8D9C70D1D2D3D4D5D6D7D8D9C80D1D2D3D4D5D6D7D8D9C90D1D2D3D4D5D6D7D8D9Ba2b3cBchrisBkittyBp2o3iBq2w3eCw23eBsanjoseA2000D1D2D3D4D5D6D7D8D9C10D2D3D4D5D6D7D8D9C20D1D2D3D4D5D6D7D8D9C30D1D2D3D4D5D6D7D8B112E2112B200C22E2F2G2H2C52BkidsBwelcomeA3010B112C41B333E3F3G3H3B533BbearsA4.2bsdC3bsdB055C77mashB2bsdB3bsdB444E4F44H4B788B854BrunnerA5050B121B252B4321B555E5F5G5H5B683B7chevyBand5A6262B301B54321B666E6F6G6H6B969E69Czulu4zA7777E7F7G7H7B89456BdwarfsA80486B675309B7654321B888E8F8G8H8A90210B11scFturboDturboB2072B999E9F9G9H9A;lk;lkDasdA@#$%^&Aa12345Cb2c3Gd4BaaaEaFaGaHaCrdvarkDonDtiBbacabDdabdooCbotFtDyCc123DdE123H4EeFfGgCdenaceDolDulFkafFlahErChijitEramCigailCoutCracadabraIverEhamErCsolutBcaciaDdemiaHcCceptEssDordEuntHsCknakCropolisCtionEveDorCuraBdamEsCelCibDdasDneCminF1FistIratorCrianGnaHeEenGneDockCultCventurDilBeneasCrobicsBfreshDicaEdCterBgainCentCgieFsCnesBhideeCmedEtBikmanCleenCmeeCrborneDcraftDheadDplaneDwolfBjaiDyBkhilCi123DkoBlainDmgirDnDsEkaEtairDyneCbanyEtrosIsDertGoCcaponeCejandrDnaDrtDssandDxE1EandeIrHrEendrEiaFsCfaroDredCgebraCiasFesDcaEeF1EiaDenFsDnaEeDsaEonClahEnDegroEnDisonDoDstateCohaDkCphaF1FbetDineCtafEmiraDheaDimaG1CvaDinCwaysCysonEsaBmadeusDndaG1DrEjitEpreeDzingCberCelieDricaH7CigaCorphousDsDurCrilBn-jenCacondaDlEogDntFhDstasiCchanaEorCdersGonDiDreF1FaG1GsFwG!G1EoidFmacheGedEzejDyCelieseDwpassCgelF1FaG1FikaFsErineDieF1DusCilDmalG houseGhouseGsDsDtaCjanaDenCnaElenaFiseEmariDeEliEtteDiEeConEymousCswerCtaresDhonyEropogenicDoineEnFioFyCumber1HoneDpaFmDragCvilsCythingBpacheColloG13CpleF1F2FiiFpieFsCrilCtivaBquaEriousGusBragornDmDshCbenzCchieFtectDticCdentCeleneCiaEdneEneDelFlaDfDjitDndamDstotleDzonaCjunFasaCleneCmandGoDondCnoldConDundCrowCsenalDhadCtemisDhurDieEstDyCunEaCvindBsadDpCdfE1234E;lkjEasdfEgFhGjHkEjklH;DlkjChimaEshDleyG1DokDrafDtonDutoshCianCjeetCpenCsholeDmunchCterixBt&tCandtChanassDenaClantaCmosphereCseCtilaCulBudieDraEeyCgustGinCreliusCstinCthorDumnBvalonDtarCengerEirCniCrahamBwayE!CesomeByeletClmerBzamCizEiCtecsCureAbabakDeEsDiesDyEdollElon5CcchusDhDkdoorErubEupCdassDboyDgerDtimesCgladyDwomanChramCileyCkedpotatoeErDshiClakrisEsFubrDdoDkrishDlardEsCmbiEooCnanaGsFeDcroftDditDgDksDzaiCrakaDbEaraEerEieDfEerEingDitoneDnEesFyG1EieEyardDonF harkonnenFharkonnenDretGtEyDtEmanEonCsebalHlDfEulDicElDkarEetGbHaIllDsEoonDtardDukiCtcaveEhEomputerDmanG1EobileCystateBballCbbEbFbGbHbBeachFesDgleDmmeupDnerEieEsDrEsDstFyDterEitElesEriceDutifuIlFyDverEisG1CbeCcauseDcaDkyCefDnDrDthovenCforeChnamClgiumDizeDlEaEeEowDmontDovedCngtDjaminEiDnetGtEyDoitDsonDtDyDzCowulfCppeCresforDhanuDkeleyDlinGerGwallDnardHoEhardEieDryDtEhaDylCstCtaEcamDhEanyDsieEyDterEieEyCverlyBharatDvaniCoothapBiayCcameralDhngaEonCenveniCgalDbenEirdEossFyErotherEucksDcockHsDdealEogEudeDfootDglesEuyDhipsEouseDjokeDmacFnEouthDredEoomDsecretDtitsEoeCkerClboDiameeDlEcEieEsEyF1CmboFeDmerCndDgEoDkyDodCoboyDchemDlogyCrdE33EieEyDgetGtaEitDthdayCscuitDhopDmillahCtchFinH'HgDemeDterCzhanBjornBlackFbootFieFjackDderunnerDhDineErDkeDncheDsterDzerCeepFingFsCindsDssDtzDzzardCondeFieFsG1DodEmcountyDwEfishEjobEmeEoffCssCueEbirdFlazerEeyesEfishEjeanElineEsFkyEvelvetBoatCbbiFjoEyDcatCdyshopCeingCgartDeyDusCleslawCmbayCndE007DerDgDitaDjourDkersDnEieDsaiDzaiEoCobieGsEooEysDgerEieDkEemGdannoEitDmerDnDsterDtsFieDzieCrisDnagaiCscoDsDtonCthCulderDrbonEneG-againGagainCwlingCxerFsCydDwonderCzoBradE&janetEfordEjanetEleyEnjanetDinFdeadDnchEd-n-janetFiFonFyEislaDsilDtDvenewworldFsDzilCeakoutEstGfeedGsDndaGnFenEtDtEonEtDwsterCianDcklesFoutDdgeGsGtHtDefcaseDghtDngEkleyDtainCoadwayDkenheartFrDmbergDncoGsEteDokeFsDthelGrHsDwnFsCuceDnoDtusCyanFtDceDnBsd4DunixBubbaF1FhGlahFlahEleGsCckEarooEsCddEahEhaFistEyDgieDliteCffaloEettEyCgsEbunnyEyCllEdogEetEsFhitCmblingCngDnyFrabbitCrgessDkeDnsDtonCsalaccDinessDterCtchDlerDtEerGflyEfuckIerEheadEonGsCzzByoungGinCronCtemeCungAc00perB3poBabernetDinboyCctusCdatDcamDweldCesarCipEcadDtlinClebEndarDgaryDibanEfornIiaDlDvinG1CmaroEyDelEraFonDillaGeDlinDpanileEbellEingCnadaDcedFrDdaceEiEyDelaDnonGdaIleDonDtorDucksEteCpfastDtainEianCrbonDdEinalDebearEnEyDlEaEenaEoFsEyleFnDmenDnageDolF1FeGenFieGnaHeFynDrieEolFtEyDsonDterEmanDverDyElEnCscadeHsDeyDhEboxDioDparEerDsieDtleCtalinaFogDch22DfishDherinIeEiEleenEyDnipDsDwomanCyugaBcccEcFcGcHcBecilFeFiaFyCdicClesteDiaEcaEneDticsCmentCnterCrebusDuleanCsarFeDsnaBhadDiEnFsawDkkalaDllengIeDmeleonEpionFsDnEceEdFlerFraHmHsEelFquaEgFeGdGitGmeGthisFhoFkyuEnelFiEshinEtalDoE-yanEfengEsDpmanDrdonnayEgerEityElesFieH1FottIeEmingEonDsDtDuCeckinFovDdsadaDeseGcakeDifDlseaH1DmEistryDnEgDowF-toDralaEryEylDssEterH1DungDvyF1Ci-pangEshunEtaiEwangEyaoDaE-huaFlinFyinGuEraDcagoEkenEoDefsEnDhsingDldsplayEinDnE-wEaFcatEgF-enGliGmeEookEpanDpEperDquitaDshengCldrnDoeCocolatIeDlDongG-hDpEsticksDuEetteCrisF1G23FpenFsGyFtG1GiaInHeHnIaIeGmasGopIhJerGyDonosCuckFyDen-chGtsDnE-linFsheFyuEgF-naGpiGyaFenFyenDongDrchEn-huBiceroCgarCmarronCndelynFrEiEyF1DemaCrcuitDqueDrusCvicElBlaireDmbakeDncyDptonDrenceEisaGsaEkFsonDssFicFrooImDudeGlFiaCeanerFfightFroomEtEvageDoCiffFordEtonDntFonDpperDtEorisCockEloDsefriendDudDverCuelessDsterHsBoatamundiEimundiCbainDraCcacolaEkolaDkDoCdeEnameDyCffeeChenCkacolaDeEisitClbyDdEcutsEshoulderEwarDemanEtteDinDleenFgeFtteEinsDorFadoFsEurDt45EraneDumbiaCmandurDbinationDeEdienneEonEtDmanderEradesEunicationDpaqEtonEuserveFteHrDradeHsCnceptEordeDdoFmGsDfidenEusedDnectFrEieDradDsoleEpirituEultaHiDtentErolDvexCokEieGsFngDlEbeanEmanDperDterCpperCraElynDdeliaDeyDinnaGeDkyDleneDneliaHusEflakeDonaDradoDvetteDwinCsmicEoFsCugarGsDldDntryDplesDrierEtneyDscousCventryCwboyGsDsCyoteBrack1FerDigDppEsDshcourseDwfordCeateFionGveDditDosoteDscentDtinDwCicketDminalDstinaConusDssDwEleyCugDiseDsaderCystalBs-eeCc298D412Die-ciCeeChrcBthreepoDulhuBudaDdlesCervoCnninghamDtCongCpcakeCrmudgeonDrentDtEisCstomerEsupCtdownDieFpieDlassByberFpunkCcloneCnthiaCranoDilAdaddyCebumDdalusDhyunDmonGicGsCggerG1CilyDnDsieEyCkotaCleDiborEtDlasDtryDuCmeDienDmitDogranEnDrongsCnaDceFrDeDgermouseDhDielG1GleDnaEiEyDteCphneDperCqingCrinDk1EmanEstarDrellFnEinEowEylDthFvaderDweiEinDylEouchCshaCtaE1EbaseEtrainDooCveDidF1FoviFsEsCwitDnCytekBdanielrodDyCddEdFdGdHdBe'anCadE-headEaheadEheadGdDnEnaDthFstarCbasishDbieDorahDraCcemberDkerCdheadFdDiCedeeDpakEfreezeEseaFixFpaceEthroatDznutsCfaultDenseDoeCkaiClanoDeteDiverDnazDoisDtaDugeCmeterDoEnFicFsCnaliDisFeDnisEyDverCpecheDtCquinCrekDluenDrekCsareeDertDignEreeDkjetEtopDmondDperateDtinyCtleffDroitCutschCvadminDelopEnDiceElFinsideEneDonCwayneDeyDydecimalCxterBhanDrmaGraCirajBiabloDgEsDlE-inFupEinEupDmondHsDnEaEeEnFeDzCckEensEheadEtracyCegoDselDtEerCggerDitalH1ClbertDipDlweedCmitrisDwitCnaDeshDnerCpakDlomacIyDperDstickDtaCrect1GorDkCscEbrakesEjockeyEoFveryDkDneyCxieDonBoanCctorDumentCdgerGsCesCgbertDcatcherDfightDgieEyCitEnowCllarGsEyDphinHsCmainDenicoDinicHkGqueFoCn'tDaldDeDgEmingDkeyDnEaDtknowCobieDfusDgieDkieDmE2DnDrsCpeyCrabEiDcasDiEsEtDkDothyCubleDdouDgEieElasCwnEtownBr.dementoCaftDgonG1GflIyGsDwDxoDzenCeamFerFsGcapeDwCillpressDnkDppingDverDzztCnoCopE deadEdeadDughtCugnigDmEsCydenBuaneCckEieEsbreathFoupCdeDleyCkeE letoEletoClceCmbassCnbarDcanDdeeDeDgeonsDnCplicateCstinEyCtchFessBvlinsideBwainDneDyneCightBylanAe-mailBachCgerDleF1FsCrlDthCsierDterGnEonDyEcomeEgoElayCtmeDshitHandBckartClipseBddieCenCgarDesCinburghDthCmundCouardCuardGoCwardGsDinFaBe-csCcsCeeEeFeGeHeCyoreBffieBggheadBiderdownCeioCghtCleenCnsteinCrikBkaterinBladioDineDnorCectricDmentDnaEiDphantCiasDna1DotDsabetEsaDzabetIhClaDenDieEotGtEsCmiraDoEotazDstreeCoiseCsieCvinEraEsCwoodDynBmailCeraldCilEeEioEyCmanuelDiEttCoryCpireDtyhandedGeadedBndaEhCemyDrgyCgageDineGerDlandCigmaCriqueCterFpriseDropyCzoDymeBrateaCenityChardCicE1EaEhDkEaDnClingCnestGoDieF1DstCoticCsatzCtyuiopCvanBscortG1CfandiaCmondCpanolCtablishEteDelleDherBtaoinG shrdluGshrdluCeeDrnityChanCoileBuccDlidCgeneCngDjiCropeBvanEsCelynDrafterEyCieBxavierCcaliberHuIrDelEptCploreHrDonentErtDressCtensionCxxtremeByalAfaceDultyCilDrviewEwayEyringDthClconDsestartCmilyG1CncyDgCrahDetheewellDflungDgoneDhadDmerEingDoutDrellDsideDukCsihuddDtEbreakElaneCtanehDboyDcatCustCyeEzBearlessCbruaryCedbackEmeCliciaEksEpeExCnderDrisCreydooDgusGonDmatDrariEetEisBfffEfFfGfHfBictionCdelFityCeldCgaroDleafCleEsystCnanceDdDiteDnConaCreEballFirdEmanEnzeEwalkDstCshE1EerGsFsEheadEieFngDtCtnessCveBlakesDmingoDndersDshCeaDmingDtchGerDursCightDpEperCoatDphouseDresEidaH1DwEerGpotGsDydCuffyDteCyawayDboyDerFsDingGfuckGleapBoghornCngCobarFzDlEproofDtEbalHlCramDbiddenDdDearmEsightFtDkedtoungeDmatDrestDsytheDtuneDwardCsterCulplayDndEtainDrEierEwheelEyearsCxtrotDyladyCzzieBramemakerDnceGsHcIoFineGsHcFoisEkFaFenfurterFieFlinFnfurterDtCeak1FbrothersDdEdieFyEericHkEricDeEbirdEdomEmanDnchG1GfriesDshbreadFmeatCidayDedricEndGsDghtenDscoDtzCodoDgE1EgieHsFyEsDmDnt242FierDshmeatEtyBubarCckE-offFyouEaduckEedFmFrEfaceEingFtElegEmeEoffEuEyouCgaziCllCnctionDgibleEuyDkyDnyDtimeCrballCtureCzbatDzEballGtAgabbyDrielHlDyCdiCelicCgeCilClaEgaExianFyDenDileoCmalDbitElerDesDmaphiCnapathDdalfDjaCoyuanCrciaDdenEnerDfieldEunkelDgoyleDlicDnetDpDrEettEyDthDyCshDmanDtonCtewayH2DorF1DtCussDtamCveEnDrielBedankenCminiCneEralEsisDiusCofEfFreyDrgFeG1FiaGnaCraldErdGoDdDgoryDmanGyH1DonimoDryDtErudeCt fuckedElaidFostEstuffedDfuckedDlaidEostH!EuckyDoutDstuffedBgeorgeCggEgFgGgHgBhandiColamalDstBiancarlEtsCbbonsDsonCffyCgiClbertDgameshDlesDmanCnaDgerGsDoCovanneCridharDlEsCselleCuseppeCveCzmoBlacierDdysCenEdaEeaglesEnCider1CobalDriaBmoneyBnuemacsDsBo awayH!Dfuck yourselfDjump in a lakeDto hellCaheadDlieDtDwayG!CblinEueCcougsCdfleshDivaDzillaCesDtheCfishDoritDuckyourselfChomeCingCjumpinalakeCldEenEfingerGshEieDfEerEingDlumCneDorrheaDzalesHzEoCoberDdE-luckEafternoonEeveningEfightEgriefEjobEluckEmorningEtimesEwifeDfusEyDnightDseCpalonDherDinathCrdanEonDgeousFsDogCslingDonDtraightCtoE hellEhellCugeDldCwestBraceDemeDhamEmDilDmpsDndmaEtDphicHsDtefulIdeadDvisDyEmailCeasyspoonEtDedEnFdayFlineEtingDgE1EgEoryDmlinHsDtaFlEchenEeFlEzkyCiffeyFinDpeDssomDzzlyCoovyDupDverDwCumpyCyphonBsiteBucciCenterDssEtCidoDllermDnnessDtarG1ClukotaCmbyDptionCnnerDtisCozhongCpiCrjotDuCstavoBwenBymnastAh2opoloBackEedFrCfidhDtanCggisChaCiboDleyDrbagGllEilCkanCl9000DlEelujahEoFweenHllDtCmidEltonDletEinDmerGedEondDptonDsterCn-gyooDdilyEwaveHingDkDnaFhDsEelEoloFnEpeteCppeningEyF1G23FdayFendingCrdE2seeEcoreEdiskEiFsonEwareDkaraEonnenDlanEeyG1EotsDmonyDoEldDrietFsGonEoldEyDueEoDvardEeyCsokDsanCttonCuhuaCveDivahCwaiiDkEeyeH1CyesCzelBe'sdeadIjimCalthG1DnDrtFbreakFsDtEherH1H2DvenCbridesCctorCdgehogCeralalDsungCidiDkeEkiDnleinErichEzClenFaFeDgeDlEoF1G23F8FhelloDpE123EerEmeCmantCndersonErixDningDryCrbEertDeDmanEesDnandezDpesDsheyDveDzogCsdeadHjimCungCwlettCydudeDthereBhhhEhFhGhHhBiawathaCberniaCddenCghlandFifeClarieDbertDdaDlEaryEelCroguchEkiEoEshiEyukiCstoireFryCtchcockDhereDlerBoangCbbesEitCckeyG1DusF pocusF-pocusFpocusClaDdDeDidayDlyDyE grailEgrailEshitCmayoumDeEbrewErFjEworkCndaF1DeyDgEkongEphucEtaoDkeyCodlumDkerGsDpsDsierDtersH2011EieCpeDscotchCrizonDnetGsEyDrorDseFsDusCsannaHhDeheadDtCtdogDlipsDrodDtipCucineDseFwifeEtonCwardG93DellDieBplabBsinDuwenCpiceBuangDshengCbbaFhubbaDertCdsonCeyCghEesDoDuesCiyingCmmerCndtDgEmokDterEingCongCrtCsbandDkersEiesDtlerCtchinsCyenCzurBwansooBydrogenFxylCmanConDungCukAi'mokFayBabgBb6ub9CanezCeleiveEieveCmpcFatFxtDsuxCrahimBcapCecreamDmanConBdenticalCiotContknowBf6was9CorgetFotBgnacioEtiusCuanaBhackedDoDteyouCtfpBiiiEiFiGiHiBkonasCuoBlanCmariCoveuFyouCyaBmageEineCbroglioCinCokEayCpactElaDerialCslBncludeCderpalDianGaEgoEraDonesiaDraCfoErmixCgemarDmarDoDresGsEidDvarCheritthewindCigoCnaDocentFuousCsaneDertionDideEghtDtEallEructCtegraHlElErcourseFleafFnGetFracialDoDrepidCvinoveritasEsibleEteCxsBoanaCmegaCngBrelandDneFeCfanCinaDsEhFmanClandeCmaDeliConmanCulianCvingBsaacDbelGleDjokeCelChmaelCidoreDlDsClandCmailCraelDealCsamCtoBt'sajokeEokGayCaliaEyCsajokeDokFayDy-bitsyEbitsyCty-bittyEbittyBuytrewqBvanBzzyAj0kerB1l2t3BackEieG1EolanternEsonDobDquelineGsCdeCegerDjinCggerDuarChanshiCikEneEumarDmeDnCkeEyDovCmaicaDesF1FbondDieElahEsonDjamCnaEkiDeEkElEtDiceEeDnEaEyDuaryDvierDyCpanFeseDonCredCshoEvantDminGeDonF1DpalEerCtinCvedDierCwsCyantaGhDneDsonCzzBeanE-baptisteFclaudeFfrancoisFmichelFpierreFyvesEandaEclaudeEetteEfrancoisEineEmichelEneFieEpierreEyvesCdiCepcjG7EsterCffEeryEreyH1ChanClloEystoneCniferDkinsDnEiFeFferEyF1DsEenCraldDemyDomeDricFmyEyDseyCsseF1EicaFeDterDusF1FchristCthroGhGtullDta1CudiCwelsBiachenDnEliEnEpingEwenChongCkunCllCmboFbDiDminEyCngDshengCongCseongCtendraCxianBjjjEjFjGjHjBkl123D;BnyeBoanEieEnFaFeDquimCcelynCdyCelEleDnaDrgDyChanFnGaH1DnE316ElennonEnyEsonCinE for freeEforfreeCjiDoCkerF1CleCnathanDellEsDgE-iEguDiDnyCrdanG23EieDeanDgeCseEeEphDhEuaDiahEeCurEneyCyceBsbachBuanCbileeCdasDiEantoEcaelEthDyCggleChaniCi-fenDcyDlletDnClayneDesDiEaF2FnGaGnEeF1FnGneFtGteDyCmanjiDboDeauxDpE in a lakeEinalakeCneEbugDgleDiEorEperCpingEterCssiDtEdoitEeEfortheEiceH4FnG1GeCttaBvncAkacyCdoshCkaDogawaCl007DamazoEppaDiDyanEnCngEarooCosCraEleeDenF1DieEnFaFeDlDmaDyEnCseyDhtanCteErinaDherinIeEiEleenEreenFineFynEyDiEeF1EnaDrinaDsufumDydidCvehCylaEenBcinBeciaCepEerEoutDsCithF1CllerFyEyF1DseyCndallDjiDnedyFthEyDobiDtEonDzoCralaDberosDiDmitDnelDriFeEyFaCshavDterCtanDchupCvinF1CwlCyboardDpadBhanEhDyrollCoanhDiDngDsrowCuehF-hoDrsheeBianEgEuschDtCdderDsCeuCllerEmeDroyCmberlyDmoDonCndEerDgEandiEdomEfishElearEsDsonCranDkElandDstenCssEa2EmeCtkatDtenG12GsEyFcatCwiBjhgfdsaBkkkEkFkGkHkBlausCeenexCingonHsBnickersFsDghtGsCowCuteBoalaCichiCjiCkakolaDoCmbatCngjooDradCokCrdaBraigDmerCisEhnaHmEtaFenFiGeGnHaHeFyCystalFynaBurtBwanEgCokDngByahnCeongsoCleCraAlab1DtecCcrosseCddieDiesDleDyEbugCgerCidCkeErsDotaDshmanClitFhGaCmbdaEertDerDinationCnaDceFrDdryCpinCraDissaDkinDryF1DsonCserFjetDsie1DtEangoEtangoCtenightCughDraFeFmaeEelFnGceGtGzEieFndaEyCwrenceDsonDyerCzareFusBeaderDfDhDnnFeCbesgueDlancCd-zeppelinDdzeppelinDzepGpHelinCgalDendErChi3b15CisonEureClandCmonCnaDnonDoreConEardEceEidCroyCsbianDlieDpaulDtatEerCticiaDliveDmeinDoDsgoDterGsCwisCxus1BibertyDraFryCckEerDorneCenDwCfeCghtFsCkeCllianEyDyCmaDitedCncEolnDdaEsayFeyEyDgDhConEelEkingEsCsaDeDpDsabonDtCtterboxEleGhouseGshitIopGtoeCveEandletliveEnletliveErpooIlEsDiaEngCwanaCzaErdDzyBjiljanaBkjasdDhEgFfGdsDlkjBlewellyCllElFlGlHlCoydBmnopBochDkEoutCganDgerDicalEnDosEutCisElaneCkeDiClaDitaDopcCndonDelyEstarDgEcockEerEhairFornErestEtoungeCokDneyDseEingCpezCrenFzoEttaDiEeEnDnaDraineEieDyCserDtCtfiDusF123CuieEsFaFeDnetteDrdesCveElyEmeErFboyFsEyouCwgradeDlifeBpadminBtteBuanaCcasDiaEeFnEferElleDkyF1G4FbreakFladyDyCigiDsDzCkeCluCmiereCnarlanderDdiDeDgCongCtherBydiaEeCleCndonDetteDnEeAm1911a1BaartenCchaEineDintosIhDkDrossDse30EymaCdboyDdieEockFgDeEleineGneFineDhuFsudDisonDmanFxDokaEnnaDyCgdalenDgieEotDicF1EqueDnumChbubaDeshDlonDmoudCiaDdenDlEerEinglistEmanDneEsailEtCjorFdomIoCkeEbreadEdrugsEitGsoEloveEmeFydayEpeaceEwarDingitGloveDotoClcolmFmDibuDlardCnagemeGrEhilDbatDchesterDdyDfredDgeshEueDiEshDoharEjEnDsetmanisEonDtraDuelDyCplesyrupCraEthonDcEelGlaHeHinEhEiFaFoEoEusEyDdiDekDgalitFretGidHtFuxEeFauxEieEoEueriteDiaF1FhG1FnGneEeF-madeleineFlleFttaHeElynEnaFeGrFoEoFnEposaEtialEusDjoryDkE1EetEoEusDlboroEenaGeFyDniDriageEucciDsEhalHlDtEhaFeEiFalFnG1GeHzGienHqEyDvinDyEamFnnEjaneDzecCsahiroDeDh4077DoudDsEcompDterG1GsDuhiroCthE-csEildeDildaDrixDtEherGwFiasGeuEi1FnglyCudeDiDreenEiceGioEoCvericHkCximeEneDmaxDwellHsmartCydayCzda1DinBeaganDtEcleaverEloafEwagonCchEanicCdardDiaEcalCekieCgaEdethEnDgieCisterClaineEnieDinaFdaEsaFsaDlaEonDodyDtinCmberGshipDoryDphisCndelDsuckCowCrcedesFrErediEureGyDdeDesDlinEotDmaidDrellEillEychristmasCtalFlicDroDsCxicoBiamiCchaelH.H1FlEelG1GeGlHeEiganEouEyDkelFyG1EyDroFsoftCdnightDoriDvaleDwayCghtDuelChailDranCkaelDeE1EyDiDkoClanoDdredDesDindDkDlardEeniumFrEicenFeFonDoDtonCmiCndyDeEdErvaDgEheDhDimumDnieDotEuDskyDyeCracleEgeEndaDiamDrorCsanthropeDhaEkaDogynistDsionFrliEyDtyCtchFellDtensBmmmEmFmGmHmCouseBnbvEcFxGzBobileDydickCdelsEmEsteDulaCgensDulFsChamedFmadGedEnCisesEheCjaDoCllyF1DsonGgoldenCndayDetEyF1DiEcaEkaEqueEtorDkeyG1DopolyDroeDsterDtEanaH3EhErealFoseEyCocowDkieDmooDnEbeamEpieDreEhtyDseFheaIdCparCraDeEcatsDganDleyDoniDpheusDrisDtEimerEsCseDheCtherDorFolaEwnCuntainDseF1FmatEumiCviesCwgliCzartBr.rogerCcharlieCgoodbarCwonderfulBt.xinuCichellCxinuBuad-dibEdibDmadinCchCffinChammadCkeshDundClderG1CnaishDchkinDdeepCrphyDrayCscleDicFboxEmDtangH1CtantBycroftxxxHyyyCpasswdHordCraDonDtleCselfDmutCungF-yuAnabilCdegeErDiaEneCftalyCgelCissanceCkamichiCliniCncyDetteComiDtoCpoleonCrcisoGseDendraCsaDcarDtyCtachaEliaGeErajaEshaDhalieFnGaeGieDionGalIeEviteCuticaCveenEtteBcarCc1701HdHeBe1410sE69Ea69CalDrmissCbraskaCckrubCenieCilCkoCllieDsonCmesisCnaCpentheIsDtuneCrmalCsbitGtDsDtleEorCtlinksDmgrDscapeDwareEorkHsCutrinoCvadaDerDilleCwaccountDbloodDcourtDkidGsDlifeDpassDsDtonDuserHsDworldDyorkH1CxtDus6BghiCocCuyenBicaraoDholasGeDkElausDolasFeCelCgelDgerDhtmareFshadowFwalGindChaomaCkeDhilDiEtaDkiDolaosClsonCmhDrodCnaDersDoEnDtendoCrvanaH1CssanEeCtaDeBnnnEnFnGnHnBoamCbodyDuhikoEkoCelCfunCkiaClanCmoreCndetDeE1CpassCraDbertDeenEneDikoDmaFlFnDthwestEonCsecretDhirCtebookEsDgayDhingDreFspassDta1DusedCuveauCvacancyDellEmberGreCwayCxiousBroffBuclearCggetCkeEmCllCmberG1G9GoneGsCrseEieCtmegDritionCucpByquistAoatmealCxacaBbi kenobiEwan kenobiD-wanDwanCsessionBceanFographyDlotCtaviaDoberFreBdetteCileEonBfficeBhshitCwellBicu812CvindBjrindBldladyDpussyCinDveFrFttiEiaFerClieCsenBmeadDgaBnceCionringsClineDyCstadBoooEoFoGoHoCpsBpenEbarEdesktopFoorEsaysmeFesameEupDrEaFtorCusBracleDngeGlineGsCcaDhidCegonDoCgasmCionClandoCvilleCwellBscarCirisCullivaCwaldBtharDerCterDoBu812CssamaCtlawDtolunchBverEkillEthrowFimeBwenCnsBxfordBzzieDyApaagalCcersDificGqueDkardEerGsEratCdaaaDdyDmaDoueCgeCigeDnlessEtFerCkistanCladinDlabDmerDomaCmelaDpersCncakeDdaEoraDicDteraEherEiesCpaDerFsDiersDpasCquesCradigmEllelEnoiaEskevDfaitDisDkEerEinsDolaDrotDtEnerEonDvizCscalDsEionEwdForHdI1IlookhereCtchesDelErneDriceGiaGkFotsDsyDtersonEiEonEyCulEaEeEinGeCvelCwanCymanEentDtonBcatCxtBeaceEhFesDnutGbutterGsDrlFjamCbblesCcheFurHsCdroF1CeblesDweeCgasusDgyCkkaClagieCncilDelopeDguinDisDnyDtecoteEiumEtiCopleDriaCpperDsiCrakaDcolateEyDesEzDfectEormaDryDsimmonEonGaDvertCteErF1FkFpanFsonEyDuniaCugeotDrBgonderinBhamDntomCialphaDlEipGpeGsElipHsDshFyCoenixH1DneDtoCrackDeakDickCyllisBianoF1FmanFsCcardEssoDkEleDtureCerceEreDterCgeonDletCmpCngDkEfloyIdConeerDtrCpelineEorganEr1CrateDieCscesCzzaBlaintruthDneFtDtoDyEboyEerGsEgroundCeaseCierCoverCughDmbrandyDsDtoFnCymouthBocusCeticEryCirEeDssonHsDuEyFtGreClarFbearFisDeDiceEticsDlyDoDynomialCmmeCnderingDtiacCohEbearDkeyEieG1CpcornDeEyeDpyCrcDkEyDnEbayEmanEoFgraphyDscheH9I11J4DterElandEnoyCstelFrCwellErFtoolBpppEpFpGpHpBrabhakaFuEirDdeepDiseDnabDsadEhantDtapEtDvinDyerCeciousDdatorDludeDmierDsenceGtEidentEtoGnDttyGfaceDvisionCiceDmusDnceGssGtonEtFempsGrFingDscaDvEateEsCoducersDfE.EessorEileDgramDmetheIusDnghornDpertyDsperDtectFlEozoaDviderCudenceBsalmsCychoBublicDusCckettCddinCllDsarCmkinpieDpkinCneetDkinCppetEiesEyF123CrnenduDpleCssyF1ByramidDoCthonAq1w2e3BianCnsongBqq111DqEqFqGqHqBualityCebecDenFieDntinDstCocBwaszxCerEtFyG12GuHiAr0gerB2d2BabbitG1CcerFxDhelGleEmaninoffDingDoonCdarDhaDioCfaelDfiDikiCghavGanEuDunathCidEerGsHofthelostarkDmundDnEbowEdropDssaEtlinCjaEdasaDeebFvEndraDivCkeshCleighDphCmachanEnaFiEraoDboF1DeauxEshDirezDonCncidDdalGlEolphFmEyF1DgerGsDjanCoulCptorCquelCscalDtaF1FfarianFmanCtioCvenFsDiCymonaGdBeadEerEingDganDlEfriendEityElyEthingFimeCbeccaElsDootCdbaronErickDcloudDdogDfishDlineDmanDrumDskinHsDwingEoodCebokDdDferCggaeEieDinaGldEonalEsCineCliantCmemberDiDoteDyCnaudFltDeEeEgadeDgarajCplicantDomanEnseDtileDublicCquestEinCscueDearchFuCtardCvolutionCynoldsCzaDnorBhettCinoCjrjlbkConaEdaBiacsCbsCcardoH1DcardoDhEardH1HsIonEmondDkEiEyCddleDeCff-raffErafHfDrafGfCghtCleyCngoCpperEleCscCtaCverFaDiBoadE warriorErunnerEwarriorCbbieEyDertG1GaGoGsDinFhooIdFsonDleyDocopEtFechFicsDynCcheFlleFsterDkEetG1EieEnrollEonEyF horrorF1FhorrorCdentEoDgerDmanDneyDolpheDrigueIzCgerF1FsChitCknyClandGeDexDidexDlinCmainEnFoEricDeoDmelDualdElanHsDyCnakEldDenDiEnEttCokieDsterDtEbeerCpingCsaElieDeEbudElineEmaryEsDieEneDsEignoCthCugeEhDletteDndDte66CxanaDyCyalFsBrrrErFrGrHrBtwoEdtwoBubenDyCdolfDyCeyCfusCgbyDgerEieriCknetClesCnnerEingCoxinCshDsEelGlDtyCthEieElessCyeByanCoheiDtaAsaabE900H0EturboCbbathDinaFeDrinaCcreCdeDieCfaaDetyG1DwatCgittaireCidDfallaDgonDkumarDlingEorDntFeCktiDuraCl9000DahEsanaDesDleEyDmonDomeEneDutCmadamsEnthaDediDiamErDmieEyDpathEleGrEsonDsamEonDtaneyDuelEraiCnchezDdersHonEgorgEiEraFineEsmmxEyDfranHciscoDgEbangEoDhDiDjayEeevEoseH1DtaEiagoFsukEoCphireDphireCraEhF1DojCshaEiDkiaDsyCtoriDurdayFnG5GeGinCulDvignonCvageDeCwedoffCxonBbdcBcamperDrecrowEletHtChemeDnappsDoolDroedeCienceDubbaCoobyGdooEterH1DrpioHnDtEchEtF1FieFyDutFsCreamDofulaEogeDuffyCubaF1DmbagBdfghjklBeabreezeDnDrchDttleCbastienCchangDretG3DurityCekerDmeChoCigneurDveCkharClftimeCmperfiCnditDiorDsorConghooDulCptembeIrHreCquentCrenaFityDgeFiFyDverEiceHsCsameGstreetCthDupCungFhyuFkuCvakDenF7ErinCxfiendDxxmeDyEteenCymourBhadowG1GsEysideDeDggyDhrokhDkespeareDllEomDmitaDnEaEghaiEnanFonFyEtanuFiDolinDradEcEiFynEkFsEleneEonEraDshankFiEtaDunDvedFnDwEnDyneDzamEzamCebaDelaEnaDffieldDilaDlEbyEdonEiaElFeyFyEterDnEgFluDpherdDrifEriGeFyEylCiahnDdanDgenarFoDhEmingDmonDnEobuDpDrinElFeyDtE-headEfacedForbrainsEheadDueDvaFpraEersDzoomCleeDomoCoesDgunDlomDmitaDoterDrtyDtgunDutDwEerEoffCrdluDeeramCuangDhuiDnDtdownEtleCyngBidartaDekickDhartaDneyDoineCemensDrraCgmachiDnalFtureCllywalkDverGeEiaCmbaF1DmonsDonDpleFyEsonHsDsimCnaEtraDgEerEleCobahnCriEusCsterCteCupingCvakumaCxtynineCzenineBkateFrCeeterCibumDdooDingDnnyDpEperH1FyCullDnkCydiveDlerDwalkerBlackerDyerCeazyDepFyCickDderDmeballDnkyDpCusDtBmallFcockFhipsFtalkGipsDshedFingCegmaCileF1FsFyDthFsEtyCokeFdhamFyDochDtherCurfyDtBnafooEuDkeFsDppelGrFleDtchCeezyDllCickerHsDperCoopFdogFyDrkydorkyDwEbalHlEflakeEingEmanEskiCuffyBoapCber1CccerG1EorDrateHsCd offDoffCftEballClangeDeilDomanFonCmanEsamaDbreroDeEbodyCndraDgmiaoEnianDiaEcFsDjaDnyDyEaConEmanDwonCphiaFeEomoreCrelDoorCssinaCtirisCuaDmitraDndDrceEireFsEmilkDvenirBpaceFmanDinDmDnishEkyDrksFyErowHsEtanDzzCecialEterFreDechEdFoFyDnceGrChynxCiceDderGmanDffFyDkeF1DritGuHsanctuEoFsDtEfireClifFfCockDngeDokyElerEnDrtsDtCrangDingGerEteDocketCudDnkyDrsCyrogyraFsBquashDiresFtBridharDmatDnivasBsssEsFsGsHsBtaceyEiFeEyDinlessDlkerDmosDnEislasEleyFyEtonDrE warsE69EbuckEgateElightEsFhipEtFerFrekEwarsDtEesEionEusCealthDelFeGrsDfanGoDllaDmpleDphF1FaneHiIeHyFenFiFonDrlingEn93DveF1FnG1GsFrDwartCickshiftDffdrinkFprickDmpyEulateDngF1FrayEkyDversCocksDneDpDrageEemEmFyCrangeHrGleEtFfordFoGcasterEwberIryDetchDiderDongCtngCuartDdEentH2EfuckEioElyDffedHturkeyDmpyDpidDttgartBubgeniusDhasEdailEednuDodhDscriberDwayCccesGsDkEerEmeErocksEsCdeshnaDhakarEirDirCesecCgarFbearDihCkumarCltanDuCmmerEitDuinenCn-spotDbirdDdanceFyDfireEloweIrDgDilDnyF1FvaleDriseDsetEhinHeDtoolsDweiCperFflyFmanFstageIrFuserFvisorDportHedDraCranetDeshDfEerEingCsanF1FnaGeDhaEilaDieCttonCvenduDroCzannaGeDieDukiDyBvenDrigeBwampratDneEsonCearerEtshopDdenDetieFnesFpeaFsFyCimEmerFingDngsetDtzerCooshDrdfishByamCbaseDilCdneyClvainEereFsteHreEiaFeCmbolDmetryDultCphilisGlisCs5DadmGinDdiagHsDlibDmaintFnEgrDopDtemG5GfiveGvFstDvAt-boneBabathaCcobellCdahiroDlockCffyCiwanCjenCkaEjiEshiDeE5EfiveEiteasyDujiClonCmalEraEsDiEeDmieEyDtamCndyDgerineEoEuyDiaDjuDkerDnerDyaCpaniEsDeCraDdisDgasEetDheelDragonDzanCshaCtaDianaDsuoDtooDumCureauEusCyfurDlorCzdevilDmanGiaBbirdBchenCp-ipD/ipDipBeacherHsDkettleDpartyCchEnicalFoCddiEyF1FbearCenEagerEeyEfanEyCflonClecastFomEphoneDlDnetCmpEoralEtationFressCnnisDtationCquilaCresaDiDminalDreEiFllEyF1CstE1F23E2E3EcaseEerEguyEiFngEtestEuserCtrisDsuoCxasBgifBhaddeusDilandIeDnEasisEhEkFgodFyouDtEcherDvyCeatreDbeefEirdsEossEutlerDcleDendDgreatescapeDirDjudgeDkingHandiDloraxDmEanEonkeyDnDodoraHeEphileDpenguinEroducersDreFalthingFsaGeEiddlerEonDseDyCiamDbaultGtDckcockFheadFskinDerryDlakaDnkEthighsDsEisitCoiDmasEpsonEsonDrneEstenDseCrasherDeeCumperDnderHbIallIirdHdomeDrsdayDyCx1138BianCffanyCgerF2FsDgerDhtassFcuntFendFfitDreCjunCkaCllCmberDeEzoneDothyCnaDgDkerGbellDmanDtinCreswingCtanicDsCzianoBjahjadiBobiasDyCdayDdCgetherDgleChruCkyoClkeinEienCmateFoDcatDmyCneDiDyColDsillyDtsieCpcatDgunDherDographyCrcDnadoDontoDresDstenDtoiseEueCshiakiFbaFterDnowCtalDhedarkDo1EtoCucanDficDrDssaintCveCxicCyotaDsrusBraciFeEtorEyDilblazerFerFsEningDnEsexualFferGigurationFitFmitFportDpdoorEperDshFcanDvailEelEisCeasureDborDeEsDkDntDvorCialDbbleHsDciaEkyDdentDeuDnaDshFaEtanDtonDvialDxieCoffDjanDmboneDnDphyDubleEtDyCucEkFerFsDefriendEloveDmanEpetDstno1CyaBsingF taoF-taoFtaoCungDtomuBtttEtFtGtHtBuanCbaEsCckerDsonCesdayClaDlCnasaladGndwichComasCrboF2DnerEleftErightDtleCttleCyenBwat123CeetheartFyDnexCilaDnsBylerF1BzilaCuwangAudayBhn-soonDsoonBlricFhCtimateBmeshBndeadErgradJuateCguessableChappyCicornFsDformEyDgrafixDqueDtedEyDxE-to-unixHunixEmanEsuckGxCknownDownCtungBpchuckConCperclassCsilonDtillCtohereCyoursBranusCbainCchinCsulaBsenetEixDrE1EmaneEnameEsBtilEityCopiaCpalBucpCuuEuFuGuHuAvacationCderCheClentinIeErieGoDhallaDleyCmpireCnceDessaDillaCrkeyCsantGhDonDsilioCughanBectrexFixCdayDderCljkoDoDvetCnceslasDdrediDetoDiceDkatGadHrGesDtureDusCrilogDmontDnonDonicaGqueDseauDtigeGoDyCteransDteBianneyCbekeDhuDratorCcesquadDkiFeEyDtoireFrG1GiaHenGyCdeoCergeCgyanCjayFaCkingGsDramCllaFgeDmaCnayDceFntH1DitFhaDodFhColetEinCperF1CragoDgilFnGbirthGiaHeHoDusCsaEvisDhvjitDionEtFationForDpiDualDvanatCttorioCvekDianGeEenBjdayBladEimirCsiBmssucksDucksBojinClcanoDleyGbDvoCodooCrtexCyagerBt100C52BvvvEvFvGvHvAwadeCitingCldenEoDeedDidDkEerDleyeEyDterCndaEojoDgDkEerDtEmenowCrcraftDdDezDgamesDlockDmEweatherDnerDrenEiorHsDsDthogCshEingtonCterF1FlooDsonCvesCyneF1BeaselCbetoysDheadDmasteIrDsterCdgeCenieEyDzerCidongDhengDnrichDpingClchEomeH1DlDsherCndelGlEiEyF1DgyikDtCreCsleyDternBhale1FsDtEchamacallitEeveHrEnotEsupHdocCeelingFsDnDreFisthebeefFsthebeefDyCichDskyDtEeEingEneyCocaresDlesaleDopieFyDreDvilleBibbleCckedClburDdcatFhildDfriedDlEenEiamH1HsIburgFeEowEyDmaDsonCn95DdEowGsEsurfDfredDgDnerEieGthepoohDonaDstonDterCredCsconsinDdomDhCthDnessfortheprosecutionCzardGsBojtekClfE1EgangEmanDverinIeFsCmanDbatG1DenCnderGboyHreadDgDyunCobieFnEyDdElandErowEstocEwindEyDfwoofDiyiCpperkennyCrdDkDldDmwoodCuldBqsbBranglerCestleCightDteBuntsinBwwwEwFwGwHwBxyzByldchydCnneComingAx-filesCmenBanaduDthCvierGeBcountryBferCilesBgenerationBiaoEboEgangEliEminCnghaoDuBmodemBrayBueqingBwindowsBxfreessxxCpassxxCsnowxxCx123DxExFxGxHxByz123DzyAyabbaF-dabba-dooFdabbadooCcoCelCmahaCngDjunDkeeGsCominCserBelloFwGstoneCngConEgCziBiannisCgalChuaCngEshaEyangCshunBodaDudeCgeshDibearCichiClandaCmamaCnahDgEdongEhoFwanEsamCsemiteDhiakiFoCu'reokDareokDcefDhanseDngDrEeokEselfBuanCehwernCgangCjiEkoCkaDkeiDonCmiEkoCngCqianCvalBvesDtteConneByyyEyFyGyHyAzacharyDkCpataDhodCryBebraFsCna69DerFdiodeDithCphyrDpelinElinCusExBhaoqianEzhuaCengkunEyanCigangDshunDweiDxinCongguoFminBiggyDzagCmmermanCnfandelCtaCyouBmodemBoltanCmbieCndaComerCranDkEmidDoDroBuluBxc123DvEbFnGmBz-topCtopCzzEzFzGzHz", {format: "packed"}).words;
+
+
+    /**
+     * Common l33t substitutions, by letter, undone before looking passwords up in the dictionary.
+     */
+    Entropy.L33T_TABLE = {
+        a: ["4", "@"],
+        b: ["8"],
+        c: ["(", "{", "[", "<"],
+        e: ["3"],
+        g: ["6", "9"],
+        i: ["1", "!", "|"],
+        l: ["1", "|", "7"],
+        o: ["0"],
+        s: ["$", "5"],
+        t: ["+", "7"],
+        x: ["%"],
+        z: ["2"]
+    };
+
+    // Most ways of undoing the l33t substitutions of one password that are tried
+    Entropy.MAX_L33T_SUBS = 16;
+
 
     Entropy.CHARSET_RX = {
         lc:  /[a-z]/,                       // lowercase
@@ -133,14 +943,116 @@ var Entropy;
         non_alpha: /[^a-zA-Z]/,             // non-alpha characters
 
         sym_upper: /[~`!@#$%^&*()\-_+=]/,   // upper keyboard symbols
-        sym_lower: /[[{\]}\\|;:'",<.>/?]/   // lower keyboard symbols
+        sym_lower: /[[{\]}\\|;:'",<.>/?]/,  // lower keyboard symbols
+
+        // non-keyboard scripts, see Entropy.SCRIPT_SIZES
+        latin_ext: /[\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u1E00-\u1EFF]/,              // accented latin letters
+        greek: /[\u0370-\u03FF\u1F00-\u1FFF]/,                                            // greek
+        cyrillic: /[\u0400-\u052F]/,                                                       // cyrillic
+        cjk: /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/,          // chinese, japanese kana, korean hangul
+        emoji: /[\uD83C-\uD83E][\uDC00-\uDFFF]|[\u2600-\u27BF]/,                            // emoji and pictographs
+
+        // combining marks, variation selectors, joiners and emoji skin tones: part of the previous character
+        combining: /[\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF\u20D0-\u20FF\uFE20-\uFE2F\uFE00-\uFE0F\u200C\u200D]|\uD83C[\uDFFB-\uDFFF]/
+    };
+
+
+    /**
+     * Charset size added by getCharsetInfo for each non-keyboard script found in a password (the
+     * pattern is in Entropy.CHARSET_RX). These are the characters a user of the script commonly
+     * picks from, not the size of its Unicode blocks. "other" is used for any non-keyboard
+     * character outside of these scripts.
+     */
+    Entropy.SCRIPT_SIZES = {
+        latin_ext: 64,      // ä, é, ß, ... in both cases
+        greek: 48,          // 24 letters in both cases
+        cyrillic: 66,       // 33 letters in both cases
+        cjk: 2500,          // commonly used characters
+        emoji: 1000,
+        other: 100
     };
 
 
+    /**
+     * Names of the prototype methods that find guessable patterns in a password. Each method is
+     * passed the password and returns an array of matches ({pattern, token, i, j, bits}).
+     */
+    Entropy.MATCHERS = ["matchDictionary", "matchKeyboard", "matchRepeat", "matchSequence", "matchDate"];
+
+
+    /**
+     * Adjacency graphs for the keyboard layouts checked by matchKeyboard. Each row lists the
+     * keys as "<unshifted><shifted>" pairs; rows are staggered by half a key.
+     */
+    Entropy.KEYBOARDS = {
+        qwerty: buildAdjacencyGraph([
+            "`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+",
+            "qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|",
+            "aA sS dD fF gG hH jJ kK lL ;: '\"",
+            "zZ xX cC vV bB nN mM ,< .> /?"
+        ]),
+        dvorak: buildAdjacencyGraph([
+            "`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) [{ ]}",
+            "'\" ,< .> pP yY fF gG cC rR lL /? =+ \\|",
+            "aA oO eE uU iI dD hH tT nN sS -_",
+            ";: qQ jJ kK xX bB mM wW vV zZ"
+        ])
+    };
+
+
+    Entropy.DATE_RX = {
+        digits: /^\d+$/,
+        separated: /(\d{1,4})([\s\/\\_.\-])(\d{1,2})\2(\d{1,4})/g
+    };
+
+    // Digit layouts tried by matchDate for dates without separators
+    Entropy.DATE_FORMATS = ["yyyymmdd", "ddmmyyyy", "mmddyyyy", "yymmdd", "ddmmyy", "mmddyy", "yyyy"];
+
+    Entropy.DATE_MIN_YEAR = 1900;
+    Entropy.DATE_MAX_YEAR = 2099;
+
+    // Years close to the current one are the most likely to be guessed
+    Entropy.REFERENCE_YEAR = new Date().getFullYear();
+    Entropy.MIN_YEAR_SPACE = 20;
+
+
     /* ########################################################### */
     /*                     PRIVATE FUNCTIONS                       */
     /* ########################################################### */
 
+    /**
+     * @private
+     * Pack a list of words into the format read by unpackDictList. Words are lowercased, sorted
+     * and de-duplicated; each word is written as an uppercase character telling how many
+     * characters to keep from the previous word ("A" for none, "B" for one, ...) followed by the
+     * rest of the word.
+     * @param words {String[]}
+     * @return {String}
+     */
+    function packDictList(words) {
+        var list = [], seen = {}, packed = "", prev = "", i, w, k, max;
+
+        for (i=0; i<words.length; ++i) {
+            w = String(words[i]).toLowerCase();
+            if (w && !seen[w]) {
+                seen[w] = true;
+                list.push(w);
+            }
+        }
+        list.sort();
+
+        for (i=0; i<list.length; ++i) {
+            w = list[i];
+            // at least one character must follow the prefix letter, and "Z" (25) is the longest prefix
+            max = Math.min(w.length - 1, prev.length, 25);
+            for (k=0; k<max && w.charAt(k) === prev.charAt(k); ++k) {}
+            packed += String.fromCharCode('A'.charCodeAt(0) + k) + w.substring(k);
+            prev = w;
+        }
+        return packed;
+    }
+
+
     /**
      * @private
      * Convert the "packed" version of the dictionary list to a hash for easy word lookups
@@ -163,10 +1075,477 @@ var Entropy;
     }
 
 
-})();
+    /**
+     * @private
+     * Logarithm base 2.
+     * @param n {Number}
+     * @return {Number}
+     */
+    function log2(n) {
+        return Math.log(n) / Math.log(2);
+    }
+
+
+    /**
+     * @private
+     * Build the adjacency graph of a keyboard layout. Keys are neighbours if they touch on the
+     * same row, or on the row above or below (rows are staggered by half a key).
+     * @param rows {String[]} Space separated "<unshifted><shifted>" key pairs for each row.
+     * @return {Object} "adj" maps every character to its neighbouring keys (null where there is no
+     *      key), "shifted" maps shifted characters to true, "keys" is the number of keys and
+     *      "degree" is the average number of neighbours per key.
+     */
+    function buildAdjacencyGraph(rows) {
+        var dirs = [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]],
+            pos = {},
+            graph = {adj: {}, shifted: {}, keys: 0, degree: 0},
+            neighbors = 0,
+            keys, x, y, d, nb, adj;
+
+        for (y=0; y<rows.length; ++y) {
+            keys = rows[y].split(" ");
+            for (x=0; x<keys.length; ++x) {
+                // every row after the first one starts half a key to the right
+                pos[(x + (y > 0 ? 1 : 0)) + "," + y] = keys[x];
+            }
+        }
+
+        for (d in pos) {
+            x = parseInt(d.split(",")[0], 10);
+            y = parseInt(d.split(",")[1], 10);
+            adj = [];
+            for (nb=0; nb<dirs.length; ++nb) {
+                adj[nb] = pos[(x + dirs[nb][0]) + "," + (y + dirs[nb][1])] || null;
+                if (adj[nb]) { neighbors += 1; }
+            }
+            graph.adj[pos[d].charAt(0)] = graph.adj[pos[d].charAt(1)] = adj;
+            graph.shifted[pos[d].charAt(1)] = true;
+            graph.keys += 1;
+        }
+        graph.degree = neighbors / graph.keys;
+        return graph;
+    }
+
+
+    /**
+     * @private
+     * Find the direction from one key to the next on a keyboard graph.
+     * @return {Number} Index of the direction in the key's adjacency list, -1 if not adjacent.
+     */
+    function adjacentDirection(graph, from, to) {
+        var adj = graph.adj[from], i;
+
+        for (i=0; adj && i<adj.length; ++i) {
+            if (adj[i] && adj[i].indexOf(to) !== -1) { return i; }
+        }
+        return -1;
+    }
+
+
+    /**
+     * @private
+     * Size of the character class a sequence character belongs to.
+     * @return {Number} 26 for lowercase letters, -26 for uppercase ones (so that a sequence does not
+     *      change case), 10 for digits, 0 for anything else.
+     */
+    function sequenceClass(ch) {
+        var rx = Entropy.CHARSET_RX;
+        return rx.lc.test(ch) ? 26 : (rx.uc.test(ch) ? -26 : (rx.num.test(ch) ? 10 : 0));
+    }
+
+
+    /**
+     * @private
+     * Split a string of digits according to a format such as "ddmmyyyy" and validate the date.
+     * @return {Object} See toDate.
+     */
+    function parseDate(tok, format) {
+        var parts = {y: "", m: "", d: ""}, i;
+
+        for (i=0; i<format.length; ++i) {
+            parts[format.charAt(i)] += tok.charAt(i);
+        }
+        return toDate(parts.y, parts.m, parts.d);
+    }
+
+
+    /**
+     * @private
+     * Validate a year, month and day. Two digit years are mapped to 1951-2050.
+     * @param y {String} Two or four digit year.
+     * @param m {String} Month, or "" for a year on its own.
+     * @param d {String} Day, or "" for a year on its own.
+     * @return {Object} {year, month, day}, or null if the parts do not make a valid date.
+     */
+    function toDate(y, m, d) {
+        var year = parseInt(y, 10),
+            month = m ? parseInt(m, 10) : 0,
+            day = d ? parseInt(d, 10) : 0;
+
+        if (y.length === 2) {
+            year += (year > 50) ? 1900 : 2000;
+        } else if (y.length !== 4) {
+            return null;
+        }
+
+        if (year < Entropy.DATE_MIN_YEAR || year > Entropy.DATE_MAX_YEAR) { return null; }
+        if ((m || d) && !(month >= 1 && month <= 12 && day >= 1 && day <= 31)) { return null; }
+
+        return {year: year, month: month, day: day};
+    }
+
+
+    /**
+     * @private
+     * Build a "date" match. Dates cost the bits needed to guess the year (within
+     * Entropy.MIN_YEAR_SPACE years of the reference year) and, if present, the day of the year
+     * and the separator.
+     * @return {Object}
+     */
+    function dateMatch(tok, i, date, separator) {
+        var yearSpace = Math.max(Math.abs(date.year - Entropy.REFERENCE_YEAR), Entropy.MIN_YEAR_SPACE);
+
+        return {
+            pattern: "date",
+            token: tok,
+            i: i,
+            j: i + tok.length - 1,
+            year: date.year,
+            month: date.month,
+            day: date.day,
+            separator: separator,
+            bits: log2(yearSpace) + (date.month ? log2(365) : 0) + (separator ? 2 : 0)
+        };
+    }
+
+
+    /**
+     * @private
+     * Return the matches of a given pattern.
+     * @param matches {Object[]}
+     * @param pattern {String} ex. "dictionary"
+     * @return {Object[]}
+     */
+    function filterMatches(matches, pattern) {
+        var found = [], i;
+
+        for (i=0; i<matches.length; ++i) {
+            if (matches[i].pattern === pattern) { found.push(matches[i]); }
+        }
+        return found;
+    }
+
+
+    /**
+     * @private
+     * Add a message to a list unless it is already there.
+     */
+    function addMessage(list, message) {
+        for (var i=0; i<list.length; ++i) {
+            if (list[i] === message) { return; }
+        }
+        list.push(message);
+    }
+
+
+    /**
+     * @private
+     * The shared grapheme segmenter, or null where Intl.Segmenter is not available.
+     */
+    var segmenter = (typeof Intl != "undefined" && Intl.Segmenter) ? new Intl.Segmenter(undefined, {granularity: "grapheme"}) : null;
+
+
+    /**
+     * @private
+     * Flag every code unit of a string with 1 if it starts a character (grapheme cluster), 0 if
+     * it continues the previous one (low surrogate, combining mark, joined emoji, ...).
+     * @return {Number[]}
+     */
+    function graphemeStarts(str) {
+        var starts = [], combining = Entropy.CHARSET_RX.combining, segments, i, code;
+
+        if (segmenter) {
+            for (i=0; i<str.length; ++i) { starts[i] = 0; }
+            segments = Array.from(segmenter.segment(str));
+            for (i=0; i<segments.length; ++i) { starts[segments[i].index] = 1; }
+            return starts;
+        }
+
+        for (i=0; i<str.length; ++i) {
+            code = str.charCodeAt(i);
+            if (i > 0 && code >= 0xDC00 && code <= 0xDFFF && str.charCodeAt(i-1) >= 0xD800 && str.charCodeAt(i-1) <= 0xDBFF) {
+                starts[i] = 0; // second half of a surrogate pair
+            } else if (str.substr(i, 2).search(combining) === 0 || (i > 0 && str.charAt(i-1) === "\u200D")) {
+                starts[i] = 0;
+            } else {
+                starts[i] = 1;
+            }
+        }
+        return starts;
+    }
+
+
+    /**
+     * @private
+     * Reverse a string.
+     */
+    function reverse(str) {
+        return str.split("").reverse().join("");
+    }
+
+
+    /**
+     * @private
+     * Number of ways to choose k items out of n.
+     */
+    function nCk(n, k) {
+        var r = 1, i;
+
+        if (k > n) { return 0; }
+        for (i=1; i<=k; ++i) {
+            r = r * (n - k + i) / i;
+        }
+        return r;
+    }
+
+
+    /**
+     * @private
+     * Build every way of undoing the l33t substitutions found in a password. Each map undoes all
+     * of them; characters that can stand for more than one letter (ex. "1" for "i" or "l")
+     * produce one map per letter, up to Entropy.MAX_L33T_SUBS maps.
+     * @param pw {String} The lowercase password.
+     * @return {Object[]} Maps of l33t character to letter. The first map is always empty
+     *      (no substitutions).
+     */
+    function l33tSubstitutions(pw) {
+        var table = Entropy.L33T_TABLE, letters = {}, found = false, subs = [{}], next, letter, chars, ch, i, k, map;
+
+        // The letters each l33t character of the password can stand for
+        for (letter in table) {
+            chars = table[letter];
+            for (i=0; i<chars.length; ++i) {
+                ch = chars[i];
+                if (pw.indexOf(ch) === -1) { continue; }
+                if (!letters.hasOwnProperty(ch)) { letters[ch] = []; }
+                letters[ch].push(letter);
+                found = true;
+            }
+        }
+
+        // One map per combination of letters
+        for (ch in letters) {
+            next = [];
+            for (k=0; k<subs.length; ++k) {
+                for (i=0; i<letters[ch].length && next.length<Entropy.MAX_L33T_SUBS; ++i) {
+                    map = shallowCopy(subs[k]);
+                    map[ch] = letters[ch][i];
+                    next.push(map);
+                }
+            }
+            subs = next;
+        }
+
+        return found ? [{}].concat(subs) : subs;
+    }
+
+
+    /**
+     * @private
+     * Shallow copy of an object.
+     */
+    function shallowCopy(obj) {
+        var copy = {}, k;
+
+        for (k in obj) { copy[k] = obj[k]; }
+        return copy;
+    }
+
+
+    /**
+     * @private
+     * Replace every character of a string found in the substitution map.
+     */
+    function translate(str, map) {
+        var out = "", i, ch;
+
+        for (i=0; i<str.length; ++i) {
+            ch = str.charAt(i);
+            out += (ch in map) ? map[ch] : ch;
+        }
+        return out;
+    }
+
+
+    /**
+     * @private
+     * Return the part of a substitution map used by a token.
+     * @return {Object} The substitutions found in the token, or null if it uses none.
+     */
+    function usedSubstitutions(tok, map) {
+        var used = null, ch;
+
+        for (ch in map) {
+            if (tok.indexOf(ch) !== -1) {
+                used = used || {};
+                used[ch] = map[ch];
+            }
+        }
+        return used;
+    }
+
+
+    /**
+     * @private
+     * Build a "dictionary" match. Dictionary words cost the bits needed to pick the word from the
+     * dictionary (scaled by the dictionary's weight), plus bits for unusual capitalization, l33t
+     * substitutions and reversal.
+     * @return {Object}
+     */
+    function dictionaryMatch(tok, i, word, sub, reversed, dict) {
+        return {
+            pattern: "dictionary",
+            token: tok,
+            i: i,
+            j: i + tok.length - 1,
+            word: word,
+            dictionary: dict.name,
+            reversed: reversed,
+            l33t: sub,
+            bits: log2(Math.max(dict.size * dict.weight, 1)) + uppercaseBits(tok) + l33tBits(tok.toLowerCase(), sub) + (reversed ? 1 : 0)
+        };
+    }
+
+
+    /**
+     * @private
+     * Look a word up in a list of dictionaries.
+     * @param dicts {Object[]}
+     * @param word {String} The lowercase word.
+     * @return {Object} The first dictionary containing the word, or null.
+     */
+    function findWord(dicts, word) {
+        var i;
+
+        for (i=0; i<dicts.length; ++i) {
+            if (dicts[i].words[word]) { return dicts[i]; }
+        }
+        return null;
+    }
+
+
+    /**
+     * @private
+     * Build a dictionary object. See Entropy.addDictionary for the arguments.
+     * @return {Object}
+     */
+    function buildDictionary(name, words, opts) {
+        var dict = {name: name, words: {}, size: 0, maxLength: 0, weight: 1},
+            w, i;
+
+        opts = opts || {};
+        if (typeof opts.weight == "number" && opts.weight > 0) { dict.weight = opts.weight; }
+
+        if (typeof words == "string") {
+            words = (opts.format == "packed") ? unpackDictList(words) : words.split(/\s*[\r\n]+\s*/);
+        }
+
+        if (Object.prototype.toString.call(words) === "[object Array]") {
+            for (i=0; i<words.length; ++i) {
+                if (words[i]) { dict.words[String(words[i]).toLowerCase()] = true; }
+            }
+        } else {
+            for (w in words) { dict.words[w] = true; }
+        }
+
+        for (w in dict.words) {
+            dict.size += 1;
+            dict.maxLength = Math.max(dict.maxLength, w.length);
+        }
+
+        return dict;
+    }
+
+
+    /**
+     * @private
+     * Build the per-password dictionary of user inputs. Besides each whole input, the parts of
+     * the input separated by spaces or punctuation are added (ex. "john.smith@example.com" adds
+     * "john", "smith", "example" and "john.smith").
+     * @param inputs {String[]}
+     * @return {Object} A dictionary, or null if there are no usable inputs.
+     */
+    function buildUserDictionary(inputs) {
+        var words = [], i, k, value, parts;
+
+        for (i=0; inputs && i<inputs.length; ++i) {
+            value = String(inputs[i] == null ? "" : inputs[i]).toLowerCase().replace(/^\s+|\s+$/g, "");
+            if (!value) { continue; }
+
+            words.push(value, value.split("@")[0]);
+            parts = value.split(/[\s@._\-+,;:!]+/);
+            for (k=0; k<parts.length; ++k) {
+                if (parts[k].length >= 3) { words.push(parts[k]); }
+            }
+        }
+        return words.length ? buildDictionary("user_inputs", words) : null;
+    }
+
+
+    /**
+     * @private
+     * Bits added by the capitalization of a word. All lowercase adds nothing, a capitalized or
+     * all uppercase word adds 1 bit, anything else adds the bits to pick which letters are upper.
+     */
+    function uppercaseBits(tok) {
+        var upper = 0, lower = 0, ways = 0, first = false, last = false, i, ch;
+
+        if (tok.toLowerCase() === tok) { return 0; }
 
+        // Compare cases rather than match [A-Z] so that accented letters count (ex. "Élodie")
+        for (i=0; i<tok.length; ++i) {
+            ch = tok.charAt(i);
+            if (ch !== ch.toLowerCase()) {
+                upper += 1;
+                first = first || i === 0;
+                last = i === tok.length-1;
+            } else if (ch !== ch.toUpperCase()) {
+                lower += 1;
+            }
+        }
+        if (lower === 0 || (upper === 1 && (first || last))) { return 1; }
+
+        for (i=1; i<=Math.min(upper, lower); ++i) {
+            ways += nCk(upper + lower, i);
+        }
+        return (ways > 1) ? log2(ways) : 0;
+    }
 
 
+    /**
+     * @private
+     * Bits added by l33t substitutions: the number of ways to pick which of the letters were
+     * substituted, per substituted letter.
+     */
+    function l33tBits(tok, sub) {
+        var bits = 0, ch, subbed, unsubbed, ways, i;
 
+        for (ch in sub) {
+            subbed = tok.split(ch).length - 1;
+            unsubbed = tok.split(sub[ch]).length - 1;
+            if (unsubbed === 0) {
+                bits += 1;
+            } else {
+                ways = 0;
+                for (i=1; i<=Math.min(subbed, unsubbed); ++i) {
+                    ways += nCk(subbed + unsubbed, i);
+                }
+                bits += log2(ways);
+            }
+        }
+        return bits;
+    }
 
+    return Entropy;
 
+});
@@ -0,0 +1,197 @@
+(function (root, factory) {
+    // UMD: AMD, CommonJS (Node, bundlers) or a browser global
+    if (typeof define == "function" && define.amd) {
+        define(["./entropy"], factory);
+    } else if (typeof module == "object" && module.exports) {
+        module.exports = factory(require("./entropy"));
+    } else {
+        root.PWBreachCheck = factory(root.Entropy);
+    }
+})(this, function (Entropy) {
+
+    /*
+     * Checks whether a password appears in a public breach corpus using a Pwned Passwords style
+     * "range" API (https://haveibeenpwned.com/API/v3#SearchingPwnedPasswordsByRange). The password
+     * is SHA-1 hashed in the browser and only the first 5 characters of the hash are sent; the
+     * server answers with every hash suffix that starts with them, so it never learns the password.
+     *
+     * @param opts {Object} Optional configuration arguments.
+     *
+     *      @config url {String} Base URL of the range endpoint. The 5 character hash prefix is appended to it.
+     *          Point it at an internal mirror or a local test server (see tools/rangeserver.js).
+     *          Default is "https://api.pwnedpasswords.com/range/".
+     *
+     *      @config addPadding {Boolean} Ask the server to pad responses with fake entries so their size does not
+     *          reveal the prefix. Default is true.
+     *
+     *      @config request {function} Optional replacement for the HTTP request. Called with the URL and a
+     *          callback(error, responseText). Useful to answer from a local list or in tests.
+     *
+     * }
+     *
+     */
+    var PWBreachCheck = function (opts) {
+        var o;
+
+        if (typeof opts == "object") {
+            for (o in opts) {
+                if (o in this) { this[o] = opts[o]; }
+            }
+        }
+
+        this.cache = {};
+        this.pending = {};
+    };
+
+
+    PWBreachCheck.prototype = {
+
+        cache: null,    // parsed range responses, by hash prefix
+        pending: null,  // callbacks waiting for a range response, by hash prefix
+
+        // opts
+        url: "https://api.pwnedpasswords.com/range/",
+        addPadding: true,
+        request: null,
+        // eo opts
+
+
+        /*
+         * Check whether a password appears in the breach corpus.
+         * @param pw {String} The password.
+         * @param callback {function} Called with (error, result). "result" is an object with a "breached" boolean
+         *      and the number of times the password was seen ("count"). "error" is null on success, or an object
+         *      with "name", "message" and "status" attributes.
+         */
+        check: function (pw, callback) {
+            var hash = PWBreachCheck.sha1(pw).toUpperCase(),
+                prefix = hash.substring(0, 5),
+                suffix = hash.substring(5),
+                me = this;
+
+            function done(err, range) {
+                var count = (range && range[suffix]) || 0;
+                callback(err, err ? null : {breached: count > 0, count: count});
+            }
+
+            if (this.cache[prefix]) {
+                done(null, this.cache[prefix]);
+                return;
+            }
+
+            // Only one request per prefix, however many checks are waiting for it
+            if (this.pending[prefix]) {
+                this.pending[prefix].push(done);
+                return;
+            }
+            this.pending[prefix] = [done];
+
+            this.fetch(this.url + prefix, function (err, text) {
+                var waiting = me.pending[prefix], i;
+
+                delete me.pending[prefix];
+                if (!err) {
+                    me.cache[prefix] = me.parseRange(text);
+                }
+                for (i=0; i<waiting.length; ++i) {
+                    waiting[i](err, me.cache[prefix]);
+                }
+            });
+        },
+
+
+        /*
+         * Parse a range response: one "<hash suffix>:<count>" pair per line. Padding entries have a count of 0.
+         * @return {Object} Counts by hash suffix.
+         */
+        parseRange: function (text) {
+            var lines = String(text || "").split(/\r?\n/), range = {}, i, pair;
+
+            for (i=0; i<lines.length; ++i) {
+                pair = lines[i].split(":");
+                if (pair.length === 2 && parseInt(pair[1], 10) > 0) {
+                    range[pair[0].toUpperCase()] = parseInt(pair[1], 10);
+                }
+            }
+            return range;
+        },
+
+
+        fetch: function (url, callback) {
+            if (typeof this.request == "function") {
+                this.request(url, callback);
+                return;
+            }
+
+            Entropy.request("GET", url, {
+                headers: this.addPadding ? {"Add-Padding": "true"} : {},
+                errorName: "BreachCheckError",
+                errorMessage: "Range request to " + url + " failed"
+            }, callback);
+        }
+
+    };
+
+
+    /**
+     * SHA-1 hash of a string, encoded as UTF-8 first.
+     *
+     * @param str {String}
+     * @return {String} The hash as 40 lowercase hex characters.
+     */
+    PWBreachCheck.sha1 = function (str) {
+        var s = unescape(encodeURIComponent(str)),
+            ln = s.length,
+            words = [],
+            w = [],
+            h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0],
+            hex = "",
+            a, b, c, d, e, f, t, i, j;
+
+        // Big-endian 32 bit words, padded with a 1 bit and the message length in bits
+        for (i=0; i<ln; ++i) {
+            words[i >> 2] |= s.charCodeAt(i) << (24 - (i % 4) * 8);
+        }
+        words[ln >> 2] |= 0x80 << (24 - (ln % 4) * 8);
+        words[(((ln + 8) >> 6) << 4) + 15] = ln * 8;
+
+        for (i=0; i<words.length; i+=16) {
+            a = h[0]; b = h[1]; c = h[2]; d = h[3]; e = h[4];
+
+            for (j=0; j<80; ++j) {
+                if (j < 16) {
+                    w[j] = words[i + j] | 0;
+                } else {
+                    t = w[j-3] ^ w[j-8] ^ w[j-14] ^ w[j-16];
+                    w[j] = (t << 1) | (t >>> 31);
+                }
+
+                if (j < 20) { f = ((b & c) | (~b & d)) + 0x5A827999; }
+                else if (j < 40) { f = (b ^ c ^ d) + 0x6ED9EBA1; }
+                else if (j < 60) { f = ((b & c) | (b & d) | (c & d)) + 0x8F1BBCDC; }
+                else { f = (b ^ c ^ d) + 0xCA62C1D6; }
+
+                t = (((a << 5) | (a >>> 27)) + e + w[j] + f) | 0;
+                e = d;
+                d = c;
+                c = (b << 30) | (b >>> 2);
+                b = a;
+                a = t;
+            }
+
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0;
+        }
+
+        for (i=0; i<h.length; ++i) {
+            hex += ("0000000" + (h[i] >>> 0).toString(16)).slice(-8);
+        }
+        return hex;
+    };
+
+    return PWBreachCheck;
+
+});
@@ -0,0 +1,308 @@
+(function (root, factory) {
+    // UMD: AMD, CommonJS (Node, bundlers) or a browser global
+    if (typeof define == "function" && define.amd) {
+        define(["./entropy", "./pwpolicy"], factory);
+    } else if (typeof module == "object" && module.exports) {
+        module.exports = factory(require("./entropy"), require("./pwpolicy"));
+    } else {
+        root.PWGenerator = factory(root.Entropy, root.PWPolicy);
+    }
+})(this, function (Entropy, PWPolicy) {
+
+    /*
+     * Generates random passwords and diceware style passphrases that the Entropy class scores at a target entropy
+     * and that pass a password policy, so a generated password never shows as weak or invalid on a meter with the
+     * same options. Randomness comes from crypto.getRandomValues (browsers, Node 19+); a generator cannot be used
+     * where it is not available.
+     *
+     * @param opts {Object} Optional configuration arguments. Every option can also be given to the methods below
+     *      to override it for a single call.
+     *
+     *      @config type {String} What generate() makes: "password" (default) or "passphrase".
+     *
+     *      @config minEntropy {Number} Entropy, as calculated by the Entropy class, the result must have. Default is
+     *          80 (the start of the meter's default "strong" range).
+     *
+     *      @config policy {PWPolicy|String|Object[]} The policy the result must pass: a PWPolicy object, the name
+     *          of a preset or an array of policy rules. Default is no policy (ie null).
+     *
+     *      @config rules {Object[]} Rules the result must pass besides the policy's (same format as the meter's
+     *          rules option). Default is no rules (ie []).
+     *
+     *      @config userInputs {String[]} Values specific to the user (ex. username, email address) the result
+     *          must not be built from. Default is no user inputs (ie []).
+     *
+     *      @config charset {String} Characters passwords are made of. Default is the printable ASCII characters
+     *          except space, quotes, backquote and backslash.
+     *
+     *      @config length {Number} Length of passwords. Default is null: the shortest length that reaches minEntropy.
+     *
+     *      @config words {String|String[]} Word list for passphrases, required for them: an array, a newline separated
+     *          list or a list in the packed dictionary format (see Entropy.packDictList). Use a curated diceware style
+     *          list: the words are shown to the user. Default is none (ie null).
+     *
+     *      @config wordCount {Number} Number of words in passphrases. Default is null: the fewest words that reach
+     *          minEntropy.
+     *
+     *      @config separator {String} Put between the words of passphrases. Default is "-".
+     *
+     *      @config capitalize {Boolean} Capitalize the words of passphrases and add a digit to one of them. This is
+     *          done anyway when a passphrase without it fails the policy (ex. rules requiring character classes).
+     *          Default is false.
+     *
+     *      @config maxAttempts {Number} How many candidates to try before giving up. Default is 100.
+     *
+     *      @config random {function} Optional replacement for PWGenerator.randomInt, called with n and returning an
+     *          integer from 0 to n-1. Only useful in tests: the result is only as random as this function.
+     *
+     * }
+     *
+     */
+    var PWGenerator = function (opts) {
+        var o;
+
+        if (typeof opts == "object") {
+            for (o in opts) {
+                if (o in this) { this[o] = opts[o]; }
+            }
+        }
+    };
+
+
+    PWGenerator.prototype = {
+
+        // opts
+        type: "password",
+        minEntropy: 80,
+        policy: null,
+        rules: [],
+        userInputs: [],
+        charset: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_{|}~",
+        length: null,
+        words: null,
+        wordCount: null,
+        separator: "-",
+        capitalize: false,
+        maxAttempts: 100,
+        random: null,
+        // eo opts
+
+
+        /*
+         * Generate a password or a passphrase, depending on the type option.
+         * @param opts {Object} Optional. Options overriding the generator's for this call.
+         * @return {String}
+         */
+        generate: function (opts) {
+            var o = this.getOptions(opts);
+            return (o.type === "passphrase") ? this.passphrase(o) : this.password(o);
+        },
+
+
+        /*
+         * Generate a password of random characters from the charset option. Starts at the shortest length that
+         * can reach minEntropy and adds a character whenever a candidate scores too low.
+         * @param opts {Object} Optional. Options overriding the generator's for this call.
+         * @return {String}
+         * @throws {Object} {name: "PWGeneratorError", message} if no candidate was good enough after maxAttempts.
+         */
+        password: function (opts) {
+            var o = this.getOptions(opts),
+                chars = o.charset,
+                ln = o.length || Math.ceil(o.minEntropy / log2(chars.length)),
+                attempt,
+                failure,
+                pw,
+                i;
+
+            for (attempt=0; attempt<o.maxAttempts; ++attempt) {
+                pw = "";
+                for (i=0; i<ln; ++i) {
+                    pw += chars.charAt(this.randomInt(chars.length, o));
+                }
+
+                failure = this.test(pw, o);
+                if (!failure) { return pw; }
+                if (failure === "entropy" && !o.length) { ln += 1; }
+            }
+            throw {name: "PWGeneratorError", message: "Could not generate a password meeting the policy in " + o.maxAttempts + " attempts"};
+        },
+
+
+        /*
+         * Generate a passphrase of random words from the words option. Starts with the fewest words that can reach
+         * minEntropy, adds a word whenever a candidate scores too low and capitalizes the words and adds a digit
+         * once a candidate fails the policy.
+         * @param opts {Object} Optional. Options overriding the generator's for this call.
+         * @return {String}
+         * @throws {Object} {name: "PWGeneratorError", message} if there is no words option or no candidate was good
+         *      enough after maxAttempts.
+         */
+        passphrase: function (opts) {
+            var o = this.getOptions(opts),
+                words = PWGenerator.toWordList(o.words),
+                count,
+                capitalize = o.capitalize,
+                attempt,
+                failure,
+                list,
+                pw,
+                i;
+
+            if (!o.words) {
+                throw {name: "PWGeneratorError", message: "Passphrases need a word list (the words option)"};
+            }
+            if (words.length < 2) {
+                throw {name: "PWGeneratorError", message: "The passphrase word list needs at least 2 words"};
+            }
+            count = o.wordCount || Math.max(2, Math.ceil(o.minEntropy / log2(words.length)));
+
+            for (attempt=0; attempt<o.maxAttempts; ++attempt) {
+                list = [];
+                for (i=0; i<count; ++i) {
+                    list[i] = words[this.randomInt(words.length, o)];
+                    if (capitalize) { list[i] = list[i].charAt(0).toUpperCase() + list[i].substring(1); }
+                }
+                if (capitalize) {
+                    list[this.randomInt(count, o)] += this.randomInt(10, o);
+                }
+                pw = list.join(o.separator);
+
+                failure = this.test(pw, o);
+                if (!failure) { return pw; }
+                if (failure === "entropy" && !o.wordCount) {
+                    count += 1;
+                } else {
+                    capitalize = true;
+                }
+            }
+            throw {name: "PWGeneratorError", message: "Could not generate a passphrase meeting the policy in " + o.maxAttempts + " attempts"};
+        },
+
+
+        /*
+         * Check a candidate against the minEntropy, policy and rules options.
+         * @param pw {String} The candidate.
+         * @param o {Object} The options of the call (see getOptions).
+         * @return {String} null if the candidate is good, "entropy" if it scores too low, "policy" if it fails a rule.
+         */
+        test: function (pw, o) {
+            var info = new Entropy(pw, o.userInputs),
+                policy = o.policy,
+                result;
+
+            if (!policy || typeof policy.evaluate != "function") {
+                policy = new PWPolicy(policy || []);
+            }
+            if (o.rules && o.rules.length) {
+                policy = new PWPolicy(policy.rules.concat(o.rules));
+            }
+
+            result = policy.evaluate(pw, {entropy: info, userInputs: o.userInputs || [], breached: null});
+            if (!result.valid) { return "policy"; }
+            return (info.entropy < o.minEntropy) ? "entropy" : null;
+        },
+
+
+        /*
+         * The generator's options, overridden by the given ones.
+         * @param opts {Object} Optional.
+         * @return {Object}
+         */
+        getOptions: function (opts) {
+            var o = {}, k;
+
+            for (k in PWGenerator.prototype) {
+                if (typeof PWGenerator.prototype[k] != "function") { o[k] = this[k]; }
+            }
+            if (typeof opts == "object") {
+                for (k in opts) {
+                    if (k in o) { o[k] = opts[k]; }
+                }
+            }
+            return o;
+        },
+
+
+        /*
+         * A random integer from 0 to n-1, from the random option if set, else from PWGenerator.randomInt.
+         */
+        randomInt: function (n, o) {
+            var random = (o && o.random) || this.random;
+            return (typeof random == "function") ? random(n) : PWGenerator.randomInt(n);
+        }
+
+    };
+
+
+    /**
+     * A uniformly distributed random integer from 0 to n-1, from crypto.getRandomValues. Values from the top of the
+     * 32 bit range that would make some results more likely than others are drawn again.
+     *
+     * @param n {Number} At most 2^32.
+     * @return {Number}
+     * @throws {Object} {name: "PWGeneratorError", message} if crypto.getRandomValues is not available.
+     */
+    PWGenerator.randomInt = function (n) {
+        var c = (typeof crypto != "undefined" && crypto.getRandomValues) ? crypto :
+                (typeof msCrypto != "undefined" && msCrypto.getRandomValues) ? msCrypto : null,
+            buf,
+            limit;
+
+        if (!c) {
+            throw {name: "PWGeneratorError", message: "crypto.getRandomValues is not available"};
+        }
+
+        buf = new Uint32Array(1);
+        limit = Math.floor(4294967296 / n) * n;
+        do {
+            c.getRandomValues(buf);
+        } while (buf[0] >= limit);
+        return buf[0] % n;
+    };
+
+
+    /**
+     * Turn the words option into an array of distinct words.
+     *
+     * @param words {String|String[]|Object} An array, a newline separated list, a packed list (see Entropy.packDictList)
+     *      or an unpacked one ({word: true, ...}).
+     * @return {String[]}
+     */
+    PWGenerator.toWordList = function (words) {
+        var list, seen = {}, i, w;
+
+        if (!words) {
+            return [];
+        }
+        if (typeof words == "string") {
+            words = /[\r\n]/.test(words) ? words.split(/\s*[\r\n]+\s*/) : Entropy.unpackDictList(words);
+        }
+
+        list = [];
+        if (Object.prototype.toString.call(words) !== "[object Array]") {
+            for (w in words) { list[list.length] = w; }  // unpacked list: {word: true, ...}
+            return list;
+        }
+        for (i=0; i<words.length; ++i) {
+            w = words[i];
+            if (w && !seen.hasOwnProperty(w)) {
+                seen[w] = true;
+                list[list.length] = w;
+            }
+        }
+        return list;
+    };
+
+
+    /**
+     * @private
+     * Logarithm base 2.
+     */
+    function log2(n) {
+        return Math.log(n) / Math.log(2);
+    }
+
+    return PWGenerator;
+
+});
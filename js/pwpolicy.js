@@ -0,0 +1,351 @@
+(function (root, factory) {
+    // UMD: AMD, CommonJS (Node, bundlers) or a browser global
+    if (typeof define == "function" && define.amd) {
+        define([], factory);
+    } else if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PWPolicy = factory();
+    }
+})(this, function () {
+
+    /*
+     * A password policy: a list of rules a password is checked against. PWPolicy does not touch the DOM, so the
+     * same policy can be evaluated in the browser and on the server.
+     *
+     * @param rules {Object[]|String} The rules, or the name of a preset in PWPolicy.PRESETS (ex. "nist80063b").
+     *      Each rule object may have the following attributes:
+     *      {
+     *          id: < Unique name of the rule, ex. "minLength" >,
+     *          message: < Text to show the user when the rule fails >,
+     *          severity: < "error" (default) makes the password invalid when the rule fails, "warning" does not >,
+     *
+     *          // and one of:
+     *          regex: < RegExp tested via "regex.test(password)" and compared to the "result" boolean attribute >,
+     *          type: < Name of a built-in check in PWPolicy.CHECKS, configured with extra attributes such as "min" >,
+     *          test: < function (password, context, rule) returning true if the rule passes >
+     *      }
+     *      Example:
+     *      [
+     *          {id: "length", type: "minLength", min: 10, message: "Use at least 10 characters"},
+     *          {id: "classes", type: "minClasses", min: 3, message: "Use 3 of: lowercase, uppercase, digits, symbols"},
+     *          {id: "noDigitFirst", regex: /^\d/, result: false, message: "Do not start with a number"},
+     *          {id: "entropy", type: "minEntropy", min: 56, severity: "warning", message: "Could be stronger"},
+     *          {id: "notAcme", test: function (pw) { return !/acme/i.test(pw); }, message: "Do not use the company name"}
+     *      ]
+     *
+     */
+    var PWPolicy = function (rules) {
+        var i, rl;
+
+        if (typeof rules == "string") {
+            if (!PWPolicy.PRESETS[rules]) {
+                throw {name: "TypeError", message: "Unknown password policy preset: " + rules};
+            }
+            rules = PWPolicy.PRESETS[rules];
+        }
+
+        this.rules = [];
+        for (i=0; rules && i<rules.length; ++i) {
+            rl = PWPolicy.clone(rules[i]);
+            if (!rl.id) { rl.id = "rule" + i; }
+            if (rl.severity !== "warning") { rl.severity = "error"; }
+            if (typeof rl.message != "string") { rl.message = ""; }
+            this.rules[i] = rl;
+        }
+    };
+
+
+    PWPolicy.prototype = {
+
+        rules: null,
+
+
+        /*
+         * Check a password against every rule of the policy.
+         * @param pw {String} The password.
+         * @param context {Object} Optional. What the built-in checks and test functions may need:
+         *      {
+         *          entropy: < Entropy object calculated for the password >,
+         *          userInputs: < Array of user specific values (username, email, ...) >,
+         *          breached: < Result of the breach check, true, false or null if unknown >,
+         *          confirm: < Value of the "confirm password" field, if any >,
+         *          previousPasswords: < Array of the user's current or recent passwords >,
+         *          similarity: < PWPolicy.similarity() of the password and previousPasswords, computed if not given >
+         *      }
+         * @return {Object}
+         *      {
+         *          valid: < Boolean, false if a rule with "error" severity failed >,
+         *          ruleResults: < Array of {id, message, severity, passed, rule} for every rule, in order >,
+         *          invalidRules: < Array of (copies of) the "error" rules that failed >
+         *      }
+         */
+        evaluate: function (pw, context) {
+            var result = {valid: true, ruleResults: [], invalidRules: []},
+                i, rl, passed;
+
+            context = context || {};
+
+            for (i=0; i<this.rules.length; ++i) {
+                rl = this.rules[i];
+                passed = this.test(rl, pw, context);
+
+                result.ruleResults[i] = {id: rl.id, message: rl.message, severity: rl.severity, passed: passed, rule: rl};
+                if (!passed && rl.severity === "error") {
+                    result.invalidRules[result.invalidRules.length] = PWPolicy.clone(rl);
+                    result.valid = false;
+                }
+            }
+            return result;
+        },
+
+
+        /*
+         * Test a single rule.
+         * @return {Boolean} true if the password passes the rule.
+         */
+        test: function (rl, pw, context) {
+            if (typeof rl.test == "function") {
+                return !!rl.test(pw, context, rl);
+            }
+            if (rl.regex) {
+                return rl.regex.test(pw) === !(rl.result === false);
+            }
+            if (typeof PWPolicy.CHECKS[rl.type] == "function") {
+                return !!PWPolicy.CHECKS[rl.type](pw, rl, context);
+            }
+            throw {name: "TypeError", message: "Password rule \"" + rl.id + "\" has no regex, test or known type"};
+        }
+
+    };
+
+
+    /**
+     * Built-in checks that rules can refer to with their "type" attribute. Each check is called with the password,
+     * the rule and the evaluation context, and returns true if the password passes.
+     */
+    PWPolicy.CHECKS = {
+
+        // rule.min: minimum number of characters (an accented letter or an emoji counts as one)
+        minLength: function (pw, rl, context) {
+            return countChars(pw, context) >= rl.min;
+        },
+
+        // rule.max: maximum number of characters
+        maxLength: function (pw, rl, context) {
+            return countChars(pw, context) <= rl.max;
+        },
+
+        // rule.min: minimum number of character classes (lowercase, uppercase, digits, symbols)
+        minClasses: function (pw, rl) {
+            var count = 0;
+
+            if (/[a-z]/.test(pw)) { count += 1; }
+            if (/[A-Z]/.test(pw)) { count += 1; }
+            if (/\d/.test(pw)) { count += 1; }
+            if (/[^a-zA-Z\d]/.test(pw)) { count += 1; }
+            return count >= rl.min;
+        },
+
+        // rule.max: maximum number of times the same character may appear in a row
+        maxRepeat: function (pw, rl) {
+            var run = 1, i;
+
+            for (i=1; i<pw.length; ++i) {
+                run = (pw.charAt(i) === pw.charAt(i-1)) ? run + 1 : 1;
+                if (run > rl.max) { return false; }
+            }
+            return true;
+        },
+
+        // the password must not equal (ignoring case) any of the user inputs (username, email, ...)
+        notUserInput: function (pw, rl, context) {
+            var inputs = context.userInputs || [], lower = pw.toLowerCase(), i;
+
+            for (i=0; i<inputs.length; ++i) {
+                if (inputs[i] && String(inputs[i]).toLowerCase() === lower) { return false; }
+            }
+            return true;
+        },
+
+        // rule.min: minimum entropy, as calculated by the Entropy class
+        minEntropy: function (pw, rl, context) {
+            return !!context.entropy && context.entropy.entropy >= rl.min;
+        },
+
+        // the password must not be a dictionary word
+        notInDict: function (pw, rl, context) {
+            return !(context.entropy && context.entropy.inDict);
+        },
+
+        // the password must not appear in the breach corpus (passes while the breach check has not answered)
+        notBreached: function (pw, rl, context) {
+            return context.breached !== true;
+        },
+
+        // the confirmation ("confirm password" field) must match the password (passes while it is empty)
+        confirmed: function (pw, rl, context) {
+            return !context.confirm || context.confirm === pw;
+        },
+
+        // rule.max: maximum similarity (0 to 1, see PWPolicy.similarity) to the previous passwords. Default is 0.5
+        notSimilar: function (pw, rl, context) {
+            var sim = context.similarity || PWPolicy.similarity(pw, context.previousPasswords);
+            return !sim || sim.score <= (rl.max == null ? 0.5 : rl.max);
+        }
+
+    };
+
+
+    /**
+     * Ready-made policies, usable by name: new PWPolicy("nist80063b").
+     */
+    PWPolicy.PRESETS = {
+
+        // NIST SP 800-63B (5.1.1.2): length, no composition rules, and a check against known bad passwords
+        nist80063b: [
+            {id: "minLength", type: "minLength", min: 8, message: "Use at least 8 characters."},
+            {id: "maxLength", type: "maxLength", max: 64, message: "Use at most 64 characters."},
+            {id: "notInDict", type: "notInDict", message: "Do not use a common password or dictionary word."},
+            {id: "notUserInput", type: "notUserInput", message: "Do not use your username or email address."},
+            {id: "maxRepeat", type: "maxRepeat", max: 3, message: "Do not repeat the same character more than 3 times."},
+            {id: "notBreached", type: "notBreached", message: "This password has appeared in a data breach."}
+        ],
+
+        // Traditional complexity rules
+        classic: [
+            {id: "minLength", type: "minLength", min: 8, message: "Use at least 8 characters."},
+            {id: "minClasses", type: "minClasses", min: 3, message: "Use at least 3 of: lowercase letters, uppercase letters, digits and symbols."},
+            {id: "maxRepeat", type: "maxRepeat", max: 2, message: "Do not repeat the same character more than twice."},
+            {id: "notUserInput", type: "notUserInput", message: "Do not use your username or email address."},
+            {id: "notInDict", type: "notInDict", message: "Do not use a common password or dictionary word."}
+        ]
+
+    };
+
+
+    /**
+     * How similar a password is to the user's previous passwords, ignoring case. The score is 1 if the password is equal
+     * to a previous one, is a previous one reversed, or only differs from it by numbers that changed by 10 or less
+     * ("Spring2025!" and "Spring2026!"). Otherwise it is 1 minus the edit distance (insertions, deletions, substitutions
+     * and swaps of adjacent characters) divided by the length of the longer password.
+     *
+     * @param pw {String} The password.
+     * @param previous {String[]} The previous passwords.
+     * @return {Object} The result for the most similar previous password, null if there are none:
+     *      {
+     *          score: < Number from 0 (nothing in common) to 1 >,
+     *          distance: < Edit distance >,
+     *          reason: < "equal", "reversed", "increment" or "edit" >,
+     *          index: < Position of the previous password in the array >
+     *      }
+     */
+    PWPolicy.similarity = function (pw, previous) {
+        var best = null, i, sim;
+
+        for (i=0; previous && i<previous.length; ++i) {
+            if (!previous[i]) { continue; }
+
+            sim = compare(String(pw || "").toLowerCase(), String(previous[i]).toLowerCase());
+            sim.index = i;
+            if (!best || sim.score > best.score) { best = sim; }
+        }
+        return best;
+    };
+
+
+    /**
+     * Make a shallow copy of an object. The copy is NOT recursive (i.e. it is only one level deep).
+     */
+    PWPolicy.clone = function (obj) {
+        if (typeof obj != 'object'){
+            return obj;
+        }
+
+        var newObj = {};
+        for (var i in obj) {
+            newObj[i] = obj[i];
+        }
+        return newObj;
+    };
+
+
+    /**
+     * @private
+     * Similarity of two lowercase passwords, see PWPolicy.similarity.
+     */
+    function compare(pw, old) {
+        var distance = editDistance(pw, old);
+
+        if (pw === old) {
+            return {score: 1, distance: distance, reason: "equal"};
+        }
+        if (pw === old.split("").reverse().join("")) {
+            return {score: 1, distance: distance, reason: "reversed"};
+        }
+        if (isIncrement(pw, old)) {
+            return {score: 1, distance: distance, reason: "increment"};
+        }
+        return {score: 1 - distance / Math.max(pw.length, old.length), distance: distance, reason: "edit"};
+    }
+
+
+    /**
+     * @private
+     * true if two different strings are the same apart from numbers that changed by 10 or less.
+     */
+    function isIncrement(a, b) {
+        var na = a.match(/\d+/g), nb = b.match(/\d+/g), i;
+
+        if (!na || !nb || na.length !== nb.length || a.replace(/\d+/g, "0") !== b.replace(/\d+/g, "0")) { return false; }
+
+        for (i=0; i<na.length; ++i) {
+            if (Math.abs(parseInt(na[i], 10) - parseInt(nb[i], 10)) > 10) { return false; }
+        }
+        return true;
+    }
+
+
+    /**
+     * @private
+     * Edit distance of two strings: the fewest insertions, deletions, substitutions and swaps of adjacent characters
+     * that turn one into the other (optimal string alignment).
+     */
+    function editDistance(a, b) {
+        var d = [], i, j, cost;
+
+        for (i=0; i<=a.length; ++i) {
+            d[i] = [i];
+        }
+        for (j=1; j<=b.length; ++j) {
+            d[0][j] = j;
+        }
+
+        for (i=1; i<=a.length; ++i) {
+            for (j=1; j<=b.length; ++j) {
+                cost = (a.charAt(i-1) === b.charAt(j-1)) ? 0 : 1;
+                d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + cost);
+                if (i > 1 && j > 1 && a.charAt(i-1) === b.charAt(j-2) && a.charAt(i-2) === b.charAt(j-1)) {
+                    d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+
+    /**
+     * @private
+     * Number of characters in the password: the grapheme count computed by the Entropy class when
+     * the context has it for this password, else the number of code points.
+     */
+    function countChars(pw, context) {
+        var info = context.entropy;
+
+        if (info && info.password === pw && typeof info.length == "number") { return info.length; }
+        return pw.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, "_").length;
+    }
+
+    return PWPolicy;
+
+});
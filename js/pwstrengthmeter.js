@@ -1,129 +1,1137 @@
-/*
- * @param fieldEl {HTMLInput} The password field whose "onkeyup" event will be monitored.
- *
- * @param meterEl {HTMLElement} The password strength meter element whose className attribute will be updated
- *      based on the status (valid or invalid) and range (weak, good, or strong) of the password.
- *
- * @param opts {Object} Optional configuration arguments that can be passed in to tailor the functionality of
- *      the class.
- *
- *      @config onChange {function} Listener to call whenever the password is changed. Returning false will
- *          cancel the setting of classNames on the meterEl. The function will be passed an object with the
- *          following attributes:
- *          {
- *              password: < The user's password >,
- *              inDict: < Boolean indicating whether the password matches a dictionary entry >,
- *              entropy: < The entropy value of the password >,
- *              valid: < Boolean indicating whether the password passed all of the rules >,
- *              range:  < Object of range that the password matched >,
- *              invalidRules: < Array of the rules that failed to validate. Empty if valid is true >
- *          }
- *
- *      @config ranges {Object[]} An array of range objects that define a minimum and maximum number for a range that
- *          the password's calculated bits that will be compared against to determine if they fit in the given range.
- *          The cls attribute will be applied to the meterEl whenever the rule matches the calculated bitRange.
- *          The default ranges are:
- *          [
- *              { min: Number.NEGATIVE_INFINITY, max: 0, cls: "empty"},
- *              { min: 0, max: 56, cls: "weak"},
- *              { min: 56, max: 80, cls: "good" },
- *              { min: 80, max: Number.POSITIVE_INFINITY, cls: "strong" }
- *          ]
- *
- *      @config rules {Object[]} An array of rule objects that will be tested agains the password.  Each rule object must
- *          have a "regex" attribute that will be tested via "regex.test(password)" and compared to the "result"
- *          boolean attribute to determine whether the rule has been successfully fulfilled. Default is no rules (ie []).
- *          Example of an array of rules:
- *          [
- *              {regex: /.{8,}/, result: true },   // length >= 8
- *              {regex: /[a-z]/i, result: true },  // Must contain at least one alpha character
- *              {regex: /[\W_]/, result: true },   // Must contain one symbol
- *              {regex: /^\d/, result: false }     // Cannot start with a number
- *          ]
- *
- *      @config clsValid {String} Optional class added to meterEl when the password is valid. Default is "valid".
- *
- *      @config clsInvalid {String} Optional class added to meterEl when the password is invalid. Default is "invalid".
- *
- * }
- *
- */
-var PWStrengthMeter = function (fieldEl, meterEl, opts) {
-    var o;
-
-    this.fieldEl = fieldEl;
-    this.meterEl = meterEl;
-
-    if (typeof opts == "object") {
-        for (o in opts) {
-            if (o in this) { this[o] = opts[o]; }
-        }
+(function (root, factory) {
+    // UMD: AMD, CommonJS (Node, bundlers) or a browser global
+    if (typeof define == "function" && define.amd) {
+        define(["./entropy", "./pwpolicy", "./pwbreachcheck", "./pwgenerator"], factory);
+    } else if (typeof module == "object" && module.exports) {
+        module.exports = factory(require("./entropy"), require("./pwpolicy"), require("./pwbreachcheck"), require("./pwgenerator"));
+    } else {
+        root.PWStrengthMeter = factory(root.Entropy, root.PWPolicy, root.PWBreachCheck, root.PWGenerator);
     }
+})(this, function (Entropy, PWPolicy, PWBreachCheck, PWGenerator) {
 
-    // Add onkeyup listener to password field
-    var fn = this.checkField.curry(this);
-    if (fieldEl.addEventListener) {
-        fieldEl.addEventListener('keyup', fn, false);
-    } else if (fieldEl.attachEvent) {
-        fieldEl.attachEvent('onkeyup', fn);
-    }
+    /*
+     * @param fieldEl {HTMLInput} The password field whose "keyup", "input", "change" and "paste" events will be monitored.
+     *
+     * @param meterEl {HTMLElement} The password strength meter element whose className attribute will be updated
+     *      based on the status (valid or invalid) and range (weak, good, or strong) of the password.
+     *
+     * @param opts {Object} Optional configuration arguments that can be passed in to tailor the functionality of
+     *      the class.
+     *
+     *      @config onChange {function} Listener to call whenever the password is changed. Returning false will
+     *          cancel the setting of classNames on the meterEl. The function will be passed an object with the
+     *          following attributes:
+     *          {
+     *              password: < The user's password >,
+     *              inDict: < Boolean indicating whether the password matches a dictionary entry >,
+     *              entropy: < The entropy value of the password >,
+     *              valid: < Boolean indicating whether the password passed all of the rules >,
+     *              range:  < Object of range that the password matched >,
+     *              invalidRules: < Array of the rules that failed to validate. Empty if valid is true >,
+     *              ruleResults: < Array of {id, message, severity, passed, rule} with the status of every rule >,
+     *              guesses: < Estimated number of guesses needed to find the password >,
+     *              crackTimes: < Estimated time to find the password for each attack scenario, ex.
+     *                  { onlineThrottled: {seconds: 36000, display: "10 hours"}, onlineUnthrottled: {...},
+     *                    offlineSlowHash: {...}, offlineFastHash: {...} } >,
+     *              feedback: < {warnings: [...], suggestions: [...]} Human-readable explanation of the score >,
+     *              breached: < Boolean indicating whether the password appears in a breach corpus. null until the
+     *                  breach check (see breachCheck) has answered for this password, or if there is no breach check >,
+     *              breachCount: < Number of times the password appears in the breach corpus, null if unknown >,
+     *              matches: < Boolean indicating whether the confirmation field (see confirmEl) has the same value as the
+     *                  password field. null if there is no confirmation field >,
+     *              mismatch: < Boolean indicating whether the confirmation is non-empty and differs from the password >,
+     *              similarity: < How similar the password is to the most similar of previousPasswords:
+     *                  {score: <0 to 1>, distance: <edit distance>, reason: <"equal", "reversed", "increment" or "edit">,
+     *                  index: <position in previousPasswords>}. null if there are no previous passwords (see PWPolicy.similarity) >
+     *          }
+     *          onChange is called again with the same password once the breach check answers.
+     *
+     *      @config ranges {Object[]} An array of range objects that define a minimum and maximum number for a range that
+     *          the password's calculated bits that will be compared against to determine if they fit in the given range.
+     *          The cls attribute will be applied to the meterEl whenever the rule matches the calculated bitRange.
+     *          The optional label attribute is the text shown and announced for the range when the render option is used.
+     *          The default ranges are:
+     *          [
+     *              { min: Number.NEGATIVE_INFINITY, max: 0, cls: "empty", label: "No password" },
+     *              { min: 0, max: 56, cls: "weak", label: "Weak" },
+     *              { min: 56, max: 80, cls: "good", label: "Good" },
+     *              { min: 80, max: Number.POSITIVE_INFINITY, cls: "strong", label: "Strong" }
+     *          ]
+     *
+     *      @config rules {Object[]} An array of rule objects that will be tested agains the password.  Each rule object must
+     *          have a "regex" attribute that will be tested via "regex.test(password)" and compared to the "result"
+     *          boolean attribute to determine whether the rule has been successfully fulfilled. Default is no rules (ie []).
+     *          Rules may also use any of the attributes of a PWPolicy rule (id, message, severity, type, test); "type"
+     *          rules need js/pwpolicy.js, regex and test rules do not.
+     *          Example of an array of rules:
+     *          [
+     *              {regex: /.{8,}/, result: true },   // length >= 8
+     *              {regex: /[a-z]/i, result: true },  // Must contain at least one alpha character
+     *              {regex: /[\W_]/, result: true },   // Must contain one symbol
+     *              {regex: /^\d/, result: false }     // Cannot start with a number
+     *          ]
+     *
+     *      @config policy {PWPolicy|String|Object[]} The password policy to check the password against: a PWPolicy object,
+     *          the name of a preset (ex. "nist80063b", "classic") or an array of policy rules. The rules of the "rules"
+     *          option are checked after the policy's. Requires js/pwpolicy.js. Default is no policy (ie null).
+     *
+     *      @config clsValid {String} Optional class added to meterEl when the password is valid. Default is "valid".
+     *
+     *      @config clsInvalid {String} Optional class added to meterEl when the password is invalid. Default is "invalid".
+     *
+     *      @config breachCheck {PWBreachCheck|Object|Boolean} Check whether the password appears in a public breach
+     *          corpus. Either a PWBreachCheck object, the options to create one with, or true to use the default
+     *          Pwned Passwords endpoint. Checks are made once the user stops typing (see breachDelay). Default is
+     *          no breach check (ie null).
+     *
+     *      @config breachDelay {Number} Milliseconds to wait after the last change before checking the password
+     *          against the breach corpus. Default is 300.
+     *
+     *      @config clsBreached {String} Optional class added to meterEl when the password appears in the breach corpus.
+     *          Default is "breached".
+     *
+     *      @config render {Boolean} Build the meter's markup inside meterEl instead of relying on the page's HTML: a strength
+     *          bar (role="meter"), a label with the range's "label" (or "cls"), the list of policy rules with their status,
+     *          the feedback suggestions and a polite ARIA live region. The password field is linked to the label, rules
+     *          and suggestions with aria-describedby. Default is false.
+     *
+     *      @config announceDelay {Number} With render, milliseconds the range must stay the same before it is announced
+     *          to screen readers through the live region, so users are not interrupted on every keystroke. Default is 1000.
+     *
+     *      @config delay {Number} Milliseconds to wait after the last keystroke before evaluating the password, for
+     *          expensive estimators or large dictionaries. Default is 0 (evaluate on every change).
+     *
+     *      @config estimator {function|function[]} How the strength of the password is estimated. An estimator is called
+     *          with the password and a context object ({userInputs: <String[]>}) and returns the estimate, or a Promise of
+     *          it. The estimate has an "entropy" attribute (in bits) and may have "guesses", "inDict", "crackTimes",
+     *          "feedback" and any other attribute; missing ones are filled in (see PWStrengthMeter.toInfo). An array of
+     *          estimators is combined by keeping the lowest estimate (see PWStrengthMeter.combineEstimators). Estimates
+     *          for a password that has changed since are discarded, and a failed estimate falls back to the default.
+     *          Default is PWStrengthMeter.entropyEstimator (the Entropy class). Example:
+     *          [
+     *              PWStrengthMeter.entropyEstimator,
+     *              PWStrengthMeter.remoteEstimator("/api/password-score")
+     *          ]
+     *
+     *      @config confirmEl {HTMLInput} Optional "confirm password" field. Its "keyup", "input", "change" and "paste" events
+     *          are monitored too, the onChange data says whether it matches the password and a non-empty confirmation
+     *          that differs from the password fails a rule with the id "confirm". Default is null.
+     *
+     *      @config confirmMessage {String} Message of the "confirm" rule. Default is "Enter the same password twice.".
+     *
+     *      @config clsMatch {String} Optional class added to confirmEl when the confirmation is non-empty and matches the
+     *          password. Default is "match".
+     *
+     *      @config clsMismatch {String} Optional class added to confirmEl when the confirmation is non-empty and does not
+     *          match the password. Default is "mismatch".
+     *
+     *      @config customValidity {Boolean} Report the password's status to the browser's constraint validation API with
+     *          setCustomValidity, so forms do not submit with an invalid or weak password. The message is the one of the
+     *          first failing rule (invalidMessage if it has none) or weakMessage below minRange. A mismatching
+     *          confirmation is reported on confirmEl. An empty password is left to the "required" attribute. Default is false.
+     *
+     *      @config minRange {String} The cls of the weakest acceptable range (ex. "good"). With customValidity, passwords in a
+     *          lower range get weakMessage. Default is null (any strength is accepted).
+     *
+     *      @config weakMessage {String} Validation message for passwords below minRange. Default is "Choose a stronger password.".
+     *
+     *      @config invalidMessage {String} Validation message when the failing rule has no message. Default is
+     *          "The password does not meet the requirements.".
+     *
+     *      @config blockSubmit {Boolean} With customValidity, also stop the password field's form from being submitted while
+     *          the password is invalid (for forms with "novalidate" and browsers without constraint validation), focusing
+     *          the invalid field. Default is false.
+     *
+     *      @config generator {PWGenerator|Object|Boolean} Add a "Suggest a strong password" button after the password field.
+     *          Clicking it fills the field with a generated password that passes the policy and rules and is in the
+     *          strongest range. Either a PWGenerator object, the options to create one with (ex. {type: "passphrase",
+     *          words: myDicewareList}), or true for random passwords with the default options. Default is no button (ie null).
+     *
+     *      @config suggestLabel {String} Text of the button added by the generator option. Default is "Suggest a strong password".
+     *
+     *      @config previousPasswords {Array} The user's current or recent passwords, for change password forms. Each item is
+     *          either a string or a form field (ex. the "current password" field) whose value is used. The onChange data
+     *          says how similar the new password is to them; add a rule of type "notSimilar" to reject passwords that are
+     *          equal, reversed, only differ by an incremented number or by a few edits. Default is none (ie []).
+     *          Example:
+     *          [
+     *              form.elements["currentPassword"]
+     *          ],
+     *          rules: [
+     *              {id: "notSimilar", type: "notSimilar", max: 0.5, message: "Do not reuse your current password."}
+     *          ]
+     *
+     *      @config userInputs {Array} Values specific to the user that the password should not be built from (ex. username,
+     *          email address, full name). Each item is either a string or a form field whose current value is used. The
+     *          password is re-evaluated whenever one of the form fields changes. Default is no user inputs (ie []).
+     *          Example:
+     *          [
+     *              "jsmith",                        // static value
+     *              form.elements["email"],          // re-read whenever it changes
+     *              form.elements["fullName"]
+     *          ]
+     *
+     * }
+     *
+     */
+    var PWStrengthMeter = function (fieldEl, meterEl, opts) {
+        var me = this;
+
+        this.fieldEl = fieldEl;
+        this.meterEl = meterEl;
+        this.opts = {};
+        this.listeners = [];
+
+        // Pasted text is only in the field after the paste event. The timer is the check timer so that destroy() cancels it
+        this.handler = function (e) {
+            if (e && e.type === "paste") {
+                clearTimeout(me.checkTimer);
+                me.checkTimer = setTimeout(function () { me.scheduleCheck(); }, 0);
+            } else {
+                me.scheduleCheck();
+            }
+        };
+
+        this.suggestHandler = function () {
+            me.suggest();
+        };
+
+        this.submitHandler = function (e) {
+            if (!me.checkSubmit()) {
+                e = e || window.event;
+                if (e.preventDefault) { e.preventDefault(); }
+                e.returnValue = false;
+                return false;
+            }
+        };
+
+        // Apply the options and initialize the password strength meter
+        this.setOptions(opts);
+    };
+
+
+    PWStrengthMeter.prototype = {
+
+        fieldEl: null,
+        meterEl: null,
+        password: null,
+        inputsKey: null,
+        confirm: null,      // value of confirmEl when the password was last evaluated
+        opts: null,         // the options given to the constructor and setOptions
+        data: null,         // the data last passed to onChange
+        handler: null,      // listener added to the password and user input fields
+        listeners: null,    // [element, type, listener] of every listener added
+        checkTimer: null,
+        entropyObj: null,   // result of the last strength estimate (see PWStrengthMeter.toInfo)
+        estimateFn: null,   // the estimator option as a single function
+        estimateSeq: 0,     // incremented for every estimate, to recognize stale asynchronous ones
+        breach: null,       // result of the last breach check: {password, breached, count}
+        breachTimer: null,
+        els: null,          // elements built by render(): {bar, label, rules, suggestions, live}
+        announced: null,    // label of the range last announced through the live region
+        announceTimer: null,
+        suggestHandler: null,  // listener added to the button of the generator option
+        suggestEl: null,    // button added by the generator option
+        submitHandler: null,  // listener added to the form by the blockSubmit option
+
+        // opts
+        ranges: [
+            { min: Number.NEGATIVE_INFINITY, max: 0, cls: "empty", label: "No password" },
+            { min: 0, max: 56, cls: "weak", label: "Weak" },
+            { min: 56, max: 80, cls: "good", label: "Good" },
+            { min: 80, max: Number.POSITIVE_INFINITY, cls: "strong", label: "Strong" }
+        ],
+
+        onChange: null,
+        rules: [],
+        policy: null,
+        clsValid: "valid",
+        clsInvalid: "invalid",
+        userInputs: [],
+        previousPasswords: [],
+        breachCheck: null,
+        breachDelay: 300,
+        clsBreached: "breached",
+        render: false,
+        announceDelay: 1000,
+        delay: 0,
+        estimator: null,
+        generator: null,
+        suggestLabel: "Suggest a strong password",
+        confirmEl: null,
+        confirmMessage: "Enter the same password twice.",
+        clsMatch: "match",
+        clsMismatch: "mismatch",
+        customValidity: false,
+        minRange: null,
+        weakMessage: "Choose a stronger password.",
+        invalidMessage: "The password does not meet the requirements.",
+        blockSubmit: false,
+        // eo opts
+
+
+        /**
+         * Change options after construction. Takes the same options as the constructor; options that are not
+         * given keep their current value. The password is re-evaluated with the new options.
+         * @param opts {Object}
+         * @return {Object} The new data passed to onChange.
+         */
+        setOptions: function (opts) {
+            var validated = this.customValidity,
+                o;
+
+            if (typeof opts == "object") {
+                for (o in opts) {
+                    if (o in this) { this.opts[o] = this[o] = opts[o]; }
+                }
+            }
+
+            if (validated && !this.customValidity) {
+                this.setValidity(this.fieldEl, "");
+                this.setValidity(this.confirmEl, "");
+            }
+
+            this.estimateFn = PWStrengthMeter.toEstimator(this.estimator);
+
+            this.policy = PWStrengthMeter.toPolicy(this.opts.policy,
+                this.confirmEl ? PWStrengthMeter.confirmRules(this.opts.rules, this.confirmMessage) : this.opts.rules);
+
+            if (this.breachCheck && typeof this.breachCheck.check != "function") {
+                this.breachCheck = new PWBreachCheck(this.breachCheck === true ? {} : this.breachCheck);
+            }
+
+            if (this.generator && typeof this.generator.generate != "function") {
+                this.generator = new PWGenerator(this.generator === true ? {} : this.generator);
+            }
+
+            if (this.generator) {
+                this.renderSuggest();
+            } else if (this.suggestEl) {
+                this.unrenderSuggest();
+            }
+
+            if (this.render && !this.els) {
+                this.renderMeter();
+            } else if (!this.render && this.els) {
+                this.unrenderMeter();
+            }
+
+            this.bindListeners();
+            return this.check();
+        },
+
+
+        /**
+         * Evaluate the password now, even if it did not change, and notify.
+         * @return {Object} The data passed to onChange. With an asynchronous estimator, onChange is called once the
+         *      estimate is ready and this is the data passed to it before.
+         */
+        check: function () {
+            clearTimeout(this.checkTimer);
+            this.password = null;
+            this.checkField();
+            return this.data;
+        },
+
+
+        /**
+         * @return {Object} The data last passed to onChange (see the onChange option).
+         */
+        getResult: function () {
+            return this.data;
+        },
+
+
+        /**
+         * Detach the meter from the page: remove its listeners, the markup built by the render option and the
+         * classes it added to meterEl. The meter cannot be used afterwards.
+         */
+        destroy: function () {
+            var mel = this.meterEl, i;
+
+            this.removeListeners();
+            clearTimeout(this.checkTimer);
+            clearTimeout(this.breachTimer);
+            clearTimeout(this.announceTimer);
+
+            if (this.els) {
+                this.unrenderMeter();
+            }
+            if (this.suggestEl) {
+                this.unrenderSuggest();
+            }
+
+            this.removeClass(mel, this.clsValid);
+            this.removeClass(mel, this.clsInvalid);
+            this.removeClass(mel, this.clsBreached);
+            for (i=0; i<this.ranges.length; ++i) {
+                this.removeClass(mel, this.ranges[i].cls);
+            }
+            if (this.confirmEl) {
+                this.removeClass(this.confirmEl, this.clsMatch);
+                this.removeClass(this.confirmEl, this.clsMismatch);
+            }
+            if (this.customValidity) {
+                this.setValidity(this.fieldEl, "");
+                this.setValidity(this.confirmEl, "");
+            }
+
+            this.password = null;  // ignore breach checks that answer later
+            this.estimateSeq += 1;  // and estimates
+            this.data = null;
+        },
+
+
+        /**
+         * Listen to the password field, the confirmation field and the user input fields. Any listeners added before
+         * are removed.
+         */
+        bindListeners: function () {
+            var fields = this.confirmEl ? [this.fieldEl, this.confirmEl] : [this.fieldEl],
+                events = ['keyup', 'input', 'change', 'paste'],
+                others,
+                i,
+                k;
+
+            this.removeListeners();
+
+            // Re-evaluate the password when a user input or previous password field changes
+            others = this.userInputs.concat(this.previousPasswords);
+            for (i=0; i<others.length; ++i) {
+                if (others[i] && others[i].nodeType === 1) {
+                    fields[fields.length] = others[i];
+                }
+            }
+
+            for (i=0; i<fields.length; ++i) {
+                for (k=0; k<events.length; ++k) {
+                    this.addListener(fields[i], events[k], this.handler);
+                }
+            }
+
+            if (this.suggestEl) {
+                this.addListener(this.suggestEl, 'click', this.suggestHandler);
+            }
+
+            if (this.customValidity && this.blockSubmit && this.fieldEl.form) {
+                this.addListener(this.fieldEl.form, 'submit', this.submitHandler);
+            }
+        },
+
+
+        /**
+         * Evaluate the password now and, if it is invalid, focus the invalid field and show its validation message.
+         * Called when the form is submitted with the blockSubmit option.
+         * @return {Boolean} true if the form may be submitted.
+         */
+        checkSubmit: function () {
+            var msgs = this.getValidationMessages(this.check()),
+                el = msgs.field ? this.fieldEl : (msgs.confirm ? this.confirmEl : null);
+
+            if (!el) { return true; }
+
+            if (el.focus) { el.focus(); }
+            if (el.reportValidity) { el.reportValidity(); }
+            return false;
+        },
+
+
+        /**
+         * The validation messages for the data passed to onChange (see the customValidity option).
+         * @param data {Object}
+         * @return {Object} {field: <message for the password field>, confirm: <message for confirmEl>}, "" when valid.
+         */
+        getValidationMessages: function (data) {
+            var msgs = {field: "", confirm: ""},
+                invalid = data.invalidRules || [],
+                i;
+
+            if (!data.password) { return msgs; }
+
+            for (i=0; i<invalid.length; ++i) {
+                if (invalid[i].id === "confirm" && this.confirmEl) {
+                    msgs.confirm = invalid[i].message || this.invalidMessage;
+                } else if (!msgs.field) {
+                    msgs.field = invalid[i].message || this.invalidMessage;
+                }
+            }
+
+            if (!msgs.field && this.minRange && this.rangeIndex(data.range && data.range.cls) < this.rangeIndex(this.minRange)) {
+                msgs.field = this.weakMessage;
+            }
+            return msgs;
+        },
+
+
+        /**
+         * @return {Number} Position of the range with the given cls in the ranges option, -1 if there is none.
+         */
+        rangeIndex: function (cls) {
+            var i;
+
+            for (i=0; i<this.ranges.length; ++i) {
+                if (this.ranges[i].cls === cls) { return i; }
+            }
+            return -1;
+        },
+
+
+        /**
+         * Set the custom validation message of a field, if the browser supports it.
+         */
+        setValidity: function (el, msg) {
+            if (el && typeof el.setCustomValidity == "function") {
+                el.setCustomValidity(msg);
+            }
+        },
+
+
+        /**
+         * Fill the password field with a password from the generator option that passes the policy and rules and is in
+         * the strongest range, then evaluate it.
+         * @return {String} The generated password, or null without a generator.
+         */
+        suggest: function () {
+            var strongest = this.ranges[this.ranges.length-1],
+                opts = {policy: this.policy, userInputs: this.getUserInputs()},
+                pw;
+
+            if (!this.generator) { return null; }
+
+            if (strongest && isFinite(strongest.min)) {
+                opts.minEntropy = Math.max(this.generator.minEntropy || 0, strongest.min);
+            }
+            pw = this.generator.generate(opts);
+
+            this.fieldEl.value = pw;
+            if (this.confirmEl) { this.confirmEl.value = pw; }
+            this.check();
+            if (this.fieldEl.focus) { this.fieldEl.focus(); }
+            if (this.fieldEl.select) { this.fieldEl.select(); }
+            return pw;
+        },
+
+
+        /**
+         * Check the field after the configured delay, or right away if there is none.
+         */
+        scheduleCheck: function () {
+            var me = this;
+
+            clearTimeout(this.checkTimer);
+            if (this.delay > 0) {
+                this.checkTimer = setTimeout(function () { me.checkField(); }, this.delay);
+            } else {
+                this.checkField();
+            }
+        },
+
+
+        checkField: function () {
+            var userInputs = this.getUserInputs(),
+                inputsKey = userInputs.concat(this.getValues(this.previousPasswords)).join("\n"),
+                confirm = this.getConfirm();
+
+            // check if the password, the confirmation, the user inputs or the previous passwords changed before proceeding
+            if (this.fieldEl.value !== this.password || inputsKey !== this.inputsKey || confirm !== this.confirm) {
+                // password has changed
+                this.password = this.fieldEl.value;
+                this.inputsKey = inputsKey;
+                this.confirm = confirm;
+                this.estimate(this.password, userInputs);
+            };
+        },
+
+
+        /**
+         * Estimate the strength of a password with the estimator option, then notify. Asynchronous estimates that are
+         * overtaken by a newer one are discarded; a failed one is replaced by the default estimate.
+         * @param pw {String}
+         * @param userInputs {String[]}
+         */
+        estimate: function (pw, userInputs) {
+            var me = this,
+                seq = ++this.estimateSeq,
+                context = {userInputs: userInputs},
+                result;
+
+            function done(info) {
+                if (seq !== me.estimateSeq) { return; } // the password changed while the estimator was busy
+
+                me.entropyObj = PWStrengthMeter.toInfo(info, pw);
+                me.notify(me.entropyObj);
+                me.scheduleBreachCheck();
+            }
+
+            try {
+                result = this.estimateFn(pw, context);
+            } catch (e) {
+                result = PWStrengthMeter.entropyEstimator(pw, context);
+            }
+
+            if (result && typeof result.then == "function") {
+                result.then(done, function () {
+                    done(PWStrengthMeter.entropyEstimator(pw, context));
+                }).then(null, function (e) {
+                    // an error thrown by onChange or notify: report it like one from a synchronous estimate
+                    setTimeout(function () { throw e; }, 0);
+                });
+            } else {
+                done(result);
+            }
+        },
+
+
+        /**
+         * Check the current password against the breach corpus once the user stops typing, then
+         * notify again with the result. Results for a password that has since changed are ignored.
+         */
+        scheduleBreachCheck: function () {
+            var me = this,
+                pw = this.password;
+
+            if (!this.breachCheck) { return; }
+
+            clearTimeout(this.breachTimer);
+            if (!pw || (this.breach && this.breach.password === pw)) { return; }
+
+            this.breachTimer = setTimeout(function () {
+                me.breachCheck.check(pw, function (err, result) {
+                    if (err || pw !== me.password) { return; }
+
+                    me.breach = {password: pw, breached: result.breached, count: result.count};
+                    me.notify(me.entropyObj);
+                });
+            }, this.breachDelay);
+        },
+
+
+        /**
+         * @return {String} The value of the confirmation field, null if there is none.
+         */
+        getConfirm: function () {
+            return this.confirmEl ? String(this.confirmEl.value || "") : null;
+        },
+
+
+        /**
+         * Read the current values of the userInputs option.
+         * @return {String[]}
+         */
+        getUserInputs: function () {
+            return this.getValues(this.userInputs);
+        },
+
+
+        /**
+         * Read the values of an array of strings and form fields.
+         * @param list {Array}
+         * @return {String[]}
+         */
+        getValues: function (list) {
+            var values = [], i, inp;
+
+            for (i=0; i<list.length; ++i) {
+                inp = list[i];
+                if (typeof inp == "string") {
+                    values[values.length] = inp;
+                } else if (inp && typeof inp.value == "string") {
+                    values[values.length] = inp.value;
+                }
+            }
+            return values;
+        },
+
+
+        /*
+         * Callback function for whatever method we called to calculate the strength
+         * of the password (see the estimator option). By default, we are using the
+         * Entropy Class to calculate the bit strength of the given password.
+         * @param info {Object} Data about the given password. Example Object would be:
+         *          {
+         *              password: "test",
+         *              length: 4,
+         *              bits: .224208765,
+         *              entropy: 22.4,
+         *              inDict: true,
+         *              charset: { size: 128, count: 3 },
+         *              guesses: 4194304,
+         *              crackTimes: { onlineThrottled: {seconds: 150994944, display: "5 years"}, ... },
+         *              feedback: { warnings: ["This is a commonly used password."], suggestions: [...] }
+         *          }
+         *
+         * @return data {Object} Data associated with the password: entropy, inDict, validity, rules broken, ranges.
+         */
+        notify: function (info) {
+            var breach = (this.breach && this.breach.password === info.password) ? this.breach : null,
+                data = PWStrengthMeter.buildData(info, this.policy, this.ranges, {
+                    userInputs: this.getUserInputs(),
+                    breached: breach ? breach.breached : null,
+                    breachCount: breach ? breach.count : null,
+                    confirm: this.getConfirm(),
+                    previousPasswords: this.getValues(this.previousPasswords)
+                }),
+                i,
+                cancelCSS = false,
+                mel = this.meterEl,
+                msgs,
+                cls;
+
+
+            this.data = data;
+
+            if (typeof this.onChange == "function") {
+                cancelCSS = (this.onChange(data)===false);
+            }
+
+            if (this.els) {
+                this.updateMeter(data);
+            }
+
+            if (this.customValidity) {
+                msgs = this.getValidationMessages(data);
+                this.setValidity(this.fieldEl, msgs.field);
+                this.setValidity(this.confirmEl, msgs.confirm);
+            }
+
+            if (!cancelCSS) {
+
+                // Add the appropriate CSS classes to the meterEl based on the current
+                // status of the password.
+                this.removeClass( mel, (data.valid ? this.clsInvalid : this.clsValid));
+                this.addClass( mel, (data.valid ? this.clsValid : this.clsInvalid));
+
+                if (data.breached) {
+                    this.addClass(mel, this.clsBreached);
+                } else {
+                    this.removeClass(mel, this.clsBreached);
+                }
+
+                if (this.confirmEl) {
+                    this.toggleClass(this.confirmEl, this.clsMatch, data.matches && !!data.password);
+                    this.toggleClass(this.confirmEl, this.clsMismatch, data.mismatch);
+                }
+
+                this.addClass(mel, data.range.cls||"");
+                for (i=0; i<this.ranges.length; ++i) {
+                    cls = this.ranges[i].cls;
+                    if (cls != data.range.cls) {
+                        this.removeClass(mel, cls)
+                    }
+                }
+            }
+
+        },
+
+
+        /**
+         * Build the meter's markup inside meterEl (see the render option) and link it to the password field.
+         */
+        renderMeter: function () {
+            var doc = this.meterEl.ownerDocument || document,
+                id = "pwsm" + (++PWStrengthMeter.idCounter),
+                els = {},
+                max = 0,
+                describedBy,
+                i;
+
+            // The top of the meter is the start of the last (open ended) range
+            for (i=0; i<this.ranges.length; ++i) {
+                if (isFinite(this.ranges[i].max)) { max = Math.max(max, this.ranges[i].max); }
+            }
+
+            function create(tag, cls, parent) {
+                var el = doc.createElement(tag);
+                el.className = cls;
+                parent.appendChild(el);
+                return el;
+            }
+
+            this.meterEl.innerHTML = "";
+
+            els.label = create("span", "meterLabel", this.meterEl);
+            els.label.id = id + "-label";
+
+            els.bar = create("div", "barWrap", this.meterEl);
+            els.bar.setAttribute("role", "meter");
+            els.bar.setAttribute("aria-label", "Password strength");
+            els.bar.setAttribute("aria-valuemin", "0");
+            els.bar.setAttribute("aria-valuemax", String(max));
+            els.bar.setAttribute("aria-valuenow", "0");
+            create("div", "bar", els.bar);
+
+            els.rules = create("ul", "ruleList", this.meterEl);
+            els.rules.id = id + "-rules";
+
+            els.suggestions = create("ul", "suggestionList", this.meterEl);
+            els.suggestions.id = id + "-suggestions";
+
+            els.live = create("div", "liveRegion", this.meterEl);
+            els.live.setAttribute("role", "status");
+            els.live.setAttribute("aria-live", "polite");
+
+            describedBy = this.fieldEl.getAttribute("aria-describedby");
+            this.fieldEl.setAttribute("aria-describedby",
+                (describedBy ? describedBy + " " : "") + els.label.id + " " + els.rules.id + " " + els.suggestions.id);
+
+            this.els = els;
+        },
+
+
+        /**
+         * Remove the markup built by renderMeter and unlink it from the password field.
+         */
+        unrenderMeter: function () {
+            var els = this.els,
+                ids = " " + els.label.id + " " + els.rules.id + " " + els.suggestions.id,
+                describedBy = this.fieldEl.getAttribute("aria-describedby") || "";
+
+            describedBy = describedBy.replace(ids, "").replace(ids.substring(1), "");
+            if (describedBy) {
+                this.fieldEl.setAttribute("aria-describedby", describedBy);
+            } else {
+                this.fieldEl.removeAttribute("aria-describedby");
+            }
+
+            clearTimeout(this.announceTimer);
+            this.meterEl.innerHTML = "";
+            this.els = null;
+            this.announced = null;
+        },
+
+
+        /**
+         * Add the button of the generator option after the password field, or update its text.
+         */
+        renderSuggest: function () {
+            var doc = this.fieldEl.ownerDocument || document,
+                btn = this.suggestEl;
+
+            if (!btn) {
+                btn = doc.createElement("button");
+                btn.setAttribute("type", "button");  // do not submit the form
+                btn.className = "suggestButton";
+                this.fieldEl.parentNode.insertBefore(btn, this.fieldEl.nextSibling);
+                this.suggestEl = btn;
+            }
+            btn.innerHTML = "";
+            btn.appendChild(doc.createTextNode(this.suggestLabel));
+        },
 
-    // Initialize the password strength meter
-    this.checkField();
-};
 
+        /**
+         * Remove the button added by renderSuggest.
+         */
+        unrenderSuggest: function () {
+            if (this.suggestEl.parentNode) {
+                this.suggestEl.parentNode.removeChild(this.suggestEl);
+            }
+            this.suggestEl = null;
+        },
+
+
+        /**
+         * Update the markup built by renderMeter with the data passed to onChange.
+         */
+        updateMeter: function (data) {
+            var els = this.els,
+                doc = this.meterEl.ownerDocument || document,
+                label = data.range ? (data.range.label || data.range.cls) : "",
+                max = parseFloat(els.bar.getAttribute("aria-valuemax")),
+                suggestions = (data.feedback && data.feedback.suggestions) || [],
+                me = this,
+                li,
+                i;
 
-PWStrengthMeter.prototype = {
+            els.label.innerHTML = "";
+            els.label.appendChild(doc.createTextNode(label));
 
-    fieldEl: null,
-    meterEl: null,
-    password: null,
+            els.bar.setAttribute("aria-valuenow", String(Math.max(0, Math.min(max, data.entropy))));
+            els.bar.setAttribute("aria-valuetext", label);
 
-    // opts
-    ranges: [
-        { min: Number.NEGATIVE_INFINITY, max: 0, cls: "empty"},
-        { min: 0, max: 56, cls: "weak"},
-        { min: 56, max: 80, cls: "good" },
-        { min: 80, max: Number.POSITIVE_INFINITY, cls: "strong" }
-    ],
+            els.rules.innerHTML = "";
+            for (i=0; i<data.ruleResults.length; ++i) {
+                if (!data.ruleResults[i].message) { continue; }
+                li = doc.createElement("li");
+                li.className = data.ruleResults[i].passed ? "passed" : "failed";
+                li.appendChild(doc.createTextNode(data.ruleResults[i].message));
+                els.rules.appendChild(li);
+            }
 
-    onChange: null,
-    rules: [],
-    clsValid: "valid",
-    clsInvalid: "invalid",
-    // eo opts
+            els.suggestions.innerHTML = "";
+            for (i=0; data.password && i<suggestions.length; ++i) {
+                li = doc.createElement("li");
+                li.appendChild(doc.createTextNode(suggestions[i]));
+                els.suggestions.appendChild(li);
+            }
 
+            // Announce the range once the user pauses, and only if it changed since the last announcement
+            clearTimeout(this.announceTimer);
+            this.announceTimer = setTimeout(function () {
+                if (label !== me.announced) {
+                    me.announced = label;
+                    els.live.innerHTML = "";
+                    els.live.appendChild(doc.createTextNode(data.password ? "Password strength: " + label : ""));
+                }
+            }, this.announceDelay);
+        },
+
+
+        /**
+         * Make a shallow copy of an object. The copy is NOT recursive (i.e. it is only one level deep).
+         */
+        clone: function (obj) {
+            if (typeof obj != 'object'){
+                return obj;
+            }
+
+            var newObj = {};
+            for (var i in obj) {
+                newObj[i] = obj[i];
+            }
+            return newObj;
+        },
+
+        addListener: function (el, type, fn) {
+            if (el.addEventListener) {
+                el.addEventListener(type, fn, false);
+            } else if (el.attachEvent) {
+                el.attachEvent('on' + type, fn);
+            }
+            this.listeners[this.listeners.length] = [el, type, fn];
+        },
+
+        removeListeners: function () {
+            var el, type, fn, i;
+
+            for (i=0; i<this.listeners.length; ++i) {
+                el = this.listeners[i][0];
+                type = this.listeners[i][1];
+                fn = this.listeners[i][2];
+                if (el.removeEventListener) {
+                    el.removeEventListener(type, fn, false);
+                } else if (el.detachEvent) {
+                    el.detachEvent('on' + type, fn);
+                }
+            }
+            this.listeners = [];
+        },
+
+        addClass: function (el, cls) {
+            var clsNms, ln, i;
+
+            if ( el.nodeType === 1 && typeof cls === "string" ) {
+                clsNms = (el.className || "").split( /\s+/ );
+                ln=clsNms.length;
+                for (i=0; i<ln; ++i) {
+                    if (clsNms[i] == cls) { return;  } // nothing to do if we find a matching classname
+                }
+                // Add the class
+                clsNms[ln] = cls;
+                el.className = clsNms.join(" ");
+            }
+        },
+
+        toggleClass: function (el, cls, on) {
+            if (on) {
+                this.addClass(el, cls);
+            } else {
+                this.removeClass(el, cls);
+            }
+        },
+
+        removeClass: function (el, cls) {
+            var clsNms, ln, i;
+
+            if ( el.nodeType === 1 && typeof cls === "string" ) {
+                clsNms = (el.className || "").split( /\s+/ );
+                ln=clsNms.length;
+                for (i=0; i<ln; ++i) {
+                    if (clsNms[i] == cls) {
+                        clsNms.splice(i,1);
+                        el.className = clsNms.join(" ");
+                        return;
+                    }
+                }
+            }
+        }
+
+    };
+
+
+    // Used to generate unique ids for the elements built by the render option
+    PWStrengthMeter.idCounter = 0;
+
+
+    /**
+     * Combine a policy option and an array of rules into a single PWPolicy. Without js/pwpolicy.js, regex and test rules
+     * are still checked (as before policies were added) but a policy or a "type" rule throws.
+     *
+     * @param policy {PWPolicy|String|Object[]} A PWPolicy object, the name of a preset or an array of policy rules.
+     * @param rules {Object[]} Rules checked after the policy's.
+     * @return {PWPolicy}
+     * @throws {Object} {name: "TypeError", message} if js/pwpolicy.js is needed and not loaded.
+     */
+    PWStrengthMeter.toPolicy = function (policy, rules) {
+        if (!PWPolicy && !(policy && typeof policy.evaluate == "function")) {
+            if (policy && policy.length) {
+                throw {name: "TypeError", message: "The policy option requires js/pwpolicy.js"};
+            }
+            return new PlainPolicy(rules || []);
+        }
+        if (!policy || typeof policy.evaluate != "function") {
+            policy = new PWPolicy(policy || []);
+        }
+        if (rules && rules.length) {
+            policy = new PWPolicy(policy.rules.concat(rules));
+        }
+        return policy;
+    };
 
-    checkField: function () {
-        var entropyObj;
 
-        // check if the password changed before proceeding
-        if (this.fieldEl.value !== this.password) {
-            // password has changed
-            this.password = this.fieldEl.value;
-            entropyObj = new Entropy(this.password);
-            this.notify(entropyObj);
+    /**
+     * The default estimator: the NIST SP 800-63 entropy calculated by the Entropy class, with pattern matching and the
+     * dictionaries registered with Entropy.addDictionary.
+     *
+     * @param pw {String} The password.
+     * @param context {Object} {userInputs: <String[]>}
+     * @return {Entropy}
+     */
+    PWStrengthMeter.entropyEstimator = function (pw, context) {
+        return new Entropy(pw, context && context.userInputs);
+    };
+
+
+    /**
+     * Turn the estimator option into a single estimator function.
+     *
+     * @param estimator {function|function[]} An estimator, an array of estimators, or null for the default.
+     * @return {function}
+     */
+    PWStrengthMeter.toEstimator = function (estimator) {
+        if (Object.prototype.toString.call(estimator) === "[object Array]") {
+            return estimator.length ? PWStrengthMeter.combineEstimators(estimator) : PWStrengthMeter.entropyEstimator;
+        }
+        return (typeof estimator == "function") ? estimator : PWStrengthMeter.entropyEstimator;
+    };
+
+
+    /**
+     * Combine several estimators into one that keeps the lowest estimate (the fewest bits), so a password is only as
+     * strong as the most pessimistic estimator says. The combined estimator returns a Promise if any of them does, and
+     * fails if any of them fails.
+     *
+     * @param estimators {function[]}
+     * @return {function} An estimator.
+     */
+    PWStrengthMeter.combineEstimators = function (estimators) {
+        return function (pw, context) {
+            var results = [], async = false, i;
+
+            for (i=0; i<estimators.length; ++i) {
+                results[i] = PWStrengthMeter.toEstimator(estimators[i])(pw, context);
+                if (results[i] && typeof results[i].then == "function") { async = true; }
+            }
+
+            return async ? Promise.all(results).then(function (all) { return lowestEstimate(all, pw); }) : lowestEstimate(results, pw);
         };
-    },
+    };
 
 
-    /*
-     * Callback function for whatever method we called to calculate the strength
-     * of the password. Currently, we are using the Entropy Class to calculate
-     * the bit strength of the given password.
-     * @param info {Object} Data about the given password. Example Object would be:
-     *          {
-     *              password: "test",
-     *              length: 4,
-     *              bits: .224208765,
-     *              entropy: 22.4,
-     *              inDict: true,
-     *              charset: { size: 128, count: 3 }
-     *          }
+    /**
+     * An estimator that asks a server for the estimate. The password and user inputs are POSTed as JSON
+     * ({password, userInputs}) and the server answers with the estimate as JSON (at least {entropy: <bits>}). The
+     * whole password is sent: only use it with your own server, over HTTPS.
      *
-     * @return data {Object} Data associated with the password: entropy, inDict, validity, rules broken, ranges.
+     * @param url {String} The scoring endpoint.
+     * @param opts {Object} Optional configuration arguments.
+     *
+     *      @config headers {Object} Extra request headers (ex. a CSRF token).
+     *
+     *      @config request {function} Optional replacement for the HTTP request. Called with the URL, the JSON body and a
+     *          callback(error, responseText). Useful in tests.
+     *
+     * @return {function} An estimator returning a Promise. Errors are objects with "name" ("EstimatorError"),
+     *      "message" and "status" attributes.
+     */
+    PWStrengthMeter.remoteEstimator = function (url, opts) {
+        opts = opts || {};
+
+        return function (pw, context) {
+            var body = JSON.stringify({password: pw, userInputs: (context && context.userInputs) || []});
+
+            return new Promise(function (resolve, reject) {
+                postJSON(url, body, opts, function (err, text) {
+                    var result;
+
+                    if (!err) {
+                        try {
+                            result = JSON.parse(text);
+                        } catch (e) {
+                            err = {name: "EstimatorError", message: "Invalid response from " + url, status: 0};
+                        }
+                    }
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            });
+        };
+    };
+
+
+    /**
+     * Complete an estimate so it has every attribute buildData and the policy checks use. An Entropy object for the
+     * password is returned as is.
+     *
+     * @param result {Object} What the estimator returned (see the estimator option).
+     * @param pw {String} The password.
+     * @return {Object} {password, entropy, length, inDict, guesses, crackTimes, feedback, matches} and the other
+     *      attributes of the estimate.
+     */
+    PWStrengthMeter.toInfo = function (result, pw) {
+        var info;
+
+        if (result instanceof Entropy && result.password === pw) { return result; }
+
+        info = clone(result || {});
+        info.password = pw;
+        if (typeof info.entropy != "number" || isNaN(info.entropy)) { info.entropy = 0; }
+        if (typeof info.length != "number") { info.length = Entropy.countChars(Entropy.normalize(pw)); }
+        info.inDict = !!info.inDict;
+        if (typeof info.guesses != "number") { info.guesses = Math.pow(2, info.entropy); }
+        if (!info.crackTimes) { info.crackTimes = Entropy.prototype.calcCrackTimes(info.guesses); }
+        if (!info.feedback) { info.feedback = {warnings: [], suggestions: []}; }
+        if (!info.matches) { info.matches = []; }
+        return info;
+    };
+
+
+    /**
+     * Add the rule failing a non-empty confirmation that differs from the password to an array of rules.
+     *
+     * @param rules {Object[]} Optional.
+     * @param message {String} Message of the rule.
+     * @return {Object[]}
      */
-    notify: function (info) {
+    PWStrengthMeter.confirmRules = function (rules, message) {
+        return (rules || []).concat([{id: "confirm", type: "confirmed", message: message}]);
+    };
+
+
+    /**
+     * Build the data passed to onChange from the result of the strength calculation. Does not use the DOM.
+     *
+     * @param info {Entropy} The strength calculation for the password.
+     * @param policy {PWPolicy} The policy to check the password against.
+     * @param ranges {Object[]} The entropy ranges.
+     * @param context {Object} {userInputs: <String[]>, breached: <Boolean|null>, breachCount: <Number|null>,
+     *      confirm: <value of the confirmation field, null if there is none>, previousPasswords: <String[]>}
+     * @return {Object} See the onChange option.
+     */
+    PWStrengthMeter.buildData = function (info, policy, ranges, context) {
         var pw = info.password,
             entropy = info.entropy,
             data = {
@@ -132,146 +1140,167 @@ PWStrengthMeter.prototype = {
                 inDict: info.inDict,
                 valid: true,
                 invalidRules: [],
-                range: null
+                range: null,
+                guesses: info.guesses,
+                crackTimes: info.crackTimes,
+                feedback: info.feedback,
+                breached: context.breached == null ? null : context.breached,
+                breachCount: context.breachCount == null ? null : context.breachCount,
+                matches: context.confirm == null ? null : context.confirm === pw,
+                mismatch: context.confirm != null && context.confirm !== "" && context.confirm !== pw,
+                similarity: PWPolicy ? PWPolicy.similarity(pw, context.previousPasswords) : null,
+                ruleResults: []
             },
-            i,
-            rl,
+            result,
             range,
-            cancelCSS = false,
-            mel = this.meterEl,
-            cls;
-
+            i;
 
         // Check the validity of the password by testing it against all of the rules
-        for (i=0; i<this.rules.length; ++i) {
-            rl = this.rules[i];
-            if (rl.regex.test(pw) === !(rl.result === false)) {
-                continue;  // nothing to do if valid
-            } else {
-                data.invalidRules[data.invalidRules.length] = this.clone(rl);
-                data.valid = false;
-            }
-        }
+        result = policy.evaluate(pw, {
+            entropy: info,
+            userInputs: context.userInputs || [],
+            breached: data.breached,
+            confirm: context.confirm,
+            previousPasswords: context.previousPasswords || [],
+            similarity: data.similarity
+        });
+        data.valid = result.valid;
+        data.invalidRules = result.invalidRules;
+        data.ruleResults = result.ruleResults;
 
         if (data.valid) {
             delete data.invalidRules
         }
 
         // Determine what "ranges" the password is based on it's bit value
-        for (i=0; i<this.ranges.length; ++i) {
-            range = this.ranges[i];
+        for (i=0; i<ranges.length; ++i) {
+            range = ranges[i];
             if (entropy >= range.min && entropy <= range.max) {
                 data.range = range;
                 break;
             }
         }
 
-        if (typeof this.onChange == "function") {
-            cancelCSS = (this.onChange(data)===false);
-        }
+        return data;
+    };
 
-        if (!cancelCSS) {
 
-            // Add the appropriate CSS classes to the meterEl based on the current
-            // status of the password.
-            this.removeClass( mel, (data.valid ? this.clsInvalid : this.clsValid));
-            this.addClass( mel, (data.valid ? this.clsValid : this.clsInvalid));
+    /**
+     * Evaluate a password exactly like a PWStrengthMeter with the same options would, without a DOM. Use it on the
+     * server to enforce the policy the meter showed in the browser.
+     *
+     * @param pw {String} The password.
+     * @param opts {Object} Optional. The meter's "policy", "rules", "ranges", "userInputs" (strings), "previousPasswords"
+     *      (strings), "confirmMessage" and "estimator" options, plus "breached" and "breachCount" if the password was checked against a breach corpus and "confirm",
+     *      the value of the confirmation field, if there is one.
+     * @return {Object} The data the meter passes to onChange, or a Promise of it if the estimator is asynchronous.
+     */
+    PWStrengthMeter.evaluate = function (pw, opts) {
+        var userInputs, result;
 
-            this.addClass(mel, range.cls||"");
-            for (i=0; i<this.ranges.length; ++i) {
-                cls = this.ranges[i].cls;
-                if (cls != data.range.cls) {
-                    this.removeClass(mel, cls)
-                }
-            }
+        opts = opts || {};
+        userInputs = opts.userInputs || [];
+        pw = (typeof pw == "string") ? pw : "";
+
+        function build(info) {
+            return PWStrengthMeter.buildData(
+                PWStrengthMeter.toInfo(info, pw),
+                PWStrengthMeter.toPolicy(opts.policy, (opts.confirm == null) ? opts.rules :
+                    PWStrengthMeter.confirmRules(opts.rules, opts.confirmMessage || PWStrengthMeter.prototype.confirmMessage)),
+                opts.ranges || PWStrengthMeter.prototype.ranges,
+                {userInputs: userInputs, breached: opts.breached, breachCount: opts.breachCount, confirm: opts.confirm,
+                    previousPasswords: opts.previousPasswords || []}
+            );
         }
 
-    },
+        result = PWStrengthMeter.toEstimator(opts.estimator)(pw, {userInputs: userInputs});
+        return (result && typeof result.then == "function") ? result.then(build) : build(result);
+    };
 
 
     /**
-     * Make a shallow copy of an object. The copy is NOT recursive (i.e. it is only one level deep).
+     * @private
+     * The estimate with the lowest entropy.
      */
-    clone: function (obj) {
-        if (typeof obj != 'object'){
-            return obj;
-        }
+    function lowestEstimate(results, pw) {
+        var lowest = null, info, i;
 
-        var newObj = {};
-        for (var i in obj) {
-            newObj[i] = obj[i];
+        for (i=0; i<results.length; ++i) {
+            info = PWStrengthMeter.toInfo(results[i], pw);
+            if (!lowest || info.entropy < lowest.entropy) { lowest = info; }
         }
-        return newObj;
-    },
+        return lowest;
+    }
 
-    addClass: function (el, cls) {
-        var clsNms, ln, i;
 
-        if ( el.nodeType === 1 && typeof cls === "string" ) {
-            clsNms = (el.className || "").split( /\s+/ );
-            ln=clsNms.length;
-            for (i=0; i<ln; ++i) {
-                if (clsNms[i] == cls) { return;  } // nothing to do if we find a matching classname
+    /**
+     * @private
+     * The rule check used when js/pwpolicy.js is not loaded: regex and test rules only, with the same results as
+     * PWPolicy.evaluate.
+     */
+    var PlainPolicy = function (rules) {
+        var i, rl;
+
+        this.rules = [];
+        for (i=0; i<rules.length; ++i) {
+            rl = clone(rules[i]);
+            if (!rl.regex && typeof rl.test != "function") {
+                throw {name: "TypeError", message: "Password rule \"" + (rl.id || rl.type) + "\" requires js/pwpolicy.js"};
             }
-            // Add the class
-            clsNms[ln] = cls;
-            el.className = clsNms.join(" ");
+            if (!rl.id) { rl.id = "rule" + i; }
+            if (rl.severity !== "warning") { rl.severity = "error"; }
+            if (typeof rl.message != "string") { rl.message = ""; }
+            this.rules[i] = rl;
         }
-    },
-
-    removeClass: function (el, cls) {
-        var clsNms, ln, i;
-
-        if ( el.nodeType === 1 && typeof cls === "string" ) {
-            clsNms = (el.className || "").split( /\s+/ );
-            ln=clsNms.length;
-            for (i=0; i<ln; ++i) {
-                if (clsNms[i] == cls) {
-                    clsNms.splice(i,1);
-                    el.className = clsNms.join(" ");
-                    return;
-                }
+    };
+
+    PlainPolicy.prototype.evaluate = function (pw, context) {
+        var result = {valid: true, ruleResults: [], invalidRules: []},
+            i, rl, passed;
+
+        for (i=0; i<this.rules.length; ++i) {
+            rl = this.rules[i];
+            passed = rl.regex ? rl.regex.test(pw) === !(rl.result === false) : !!rl.test(pw, context || {}, rl);
+
+            result.ruleResults[i] = {id: rl.id, message: rl.message, severity: rl.severity, passed: passed, rule: rl};
+            if (!passed && rl.severity === "error") {
+                result.invalidRules[result.invalidRules.length] = clone(rl);
+                result.valid = false;
             }
         }
-    }
+        return result;
+    };
 
-};
 
+    /**
+     * @private
+     * Shallow copy of an object.
+     */
+    function clone(obj) {
+        var copy = {}, k;
 
-/**
- * Augment Function.prototype to give functions the ability to generate
- * closures with pre-defined scope and arguments. curry() MUST be called
- * as a method, ex.
- *      myFunction.curry();
- * NOT as a regular function, ex.
- *      var a = myFunction.curry; a();
- *
- * @param scope {Object} What the value of "this" will be when the function is called.
- *          Default is the Window object.
- * @param arguments {Any} Any arguments, after the scope, will be appended, as arguments,
- *          when the function is called.
- * @return {Function} A function that, when called, will have the pre-defined scope and
- *          arguments.
- */
-if(!Function.prototype.curry) {
-    (function () {
-        var slice = Array.prototype.slice;
+        for (k in obj) { copy[k] = obj[k]; }
+        return copy;
+    }
 
-        Function.prototype.curry = function (scope /* arg_1, arg_2, ... arg_N */) {
 
-            if (typeof this != "function") {
-                throw {name: "TypeError", message: "curry must be called as a method"}
-            }
+    /**
+     * @private
+     * POST a JSON body and call back with (error, responseText). Uses opts.request if given, else Entropy.request.
+     */
+    function postJSON(url, body, opts, callback) {
+        var headers = {"Content-Type": "application/json"}, h;
 
-            var args = slice.call(arguments, 1),
-                fn = this;
+        if (typeof opts.request == "function") {
+            opts.request(url, body, callback);
+            return;
+        }
 
-            return function ( ) {
-                // pre-pend any arguments that have been passed in before executing the function
-                fn.apply(scope||this, slice.call(arguments).concat(args));
-            };
-        } // -- eo curry method
+        for (h in opts.headers) { headers[h] = opts.headers[h]; }
+
+        Entropy.request("POST", url, {headers: headers, body: body, errorName: "EstimatorError"}, callback);
+    }
 
-    })();
-}
+    return PWStrengthMeter;
 
+});
@@ -0,0 +1,235 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    helpers = require("./helpers"),
+    Entropy = require("../js/entropy");
+
+
+// Letters that do not make up a dictionary word, whatever the length
+var RANDOM = "kzqvjxwmbhgtfdnprlsy";
+
+helpers.pinReferenceYear(test);
+
+
+test("calcCompositionBits follows the NIST bonus table", function () {
+    var e = new Entropy(""),
+        table = [
+            // [length, character sets, bits]
+            [3, 4, 0],
+            [4, 2, 0],
+            [4, 3, 2],
+            [5, 3, 3],
+            [6, 3, 3],
+            [7, 3, 5],
+            [8, 3, 6],
+            [30, 4, 6],
+            [30, 2, 0]
+        ],
+        i;
+
+    for (i=0; i<table.length; ++i) {
+        assert.strictEqual(e.calcCompositionBits(new Array(table[i][0] + 1).join("x"), table[i][1]), table[i][2],
+            "length " + table[i][0] + ", " + table[i][1] + " sets");
+    }
+});
+
+
+test("calcCompositionBits counts characters, not code units", function () {
+    var e = new Entropy("");
+
+    assert.strictEqual(e.calcCompositionBits("a😀b", 3), 0);   // 3 characters, 4 code units
+    assert.strictEqual(e.calcCompositionBits("ab😀c", 3), 2);
+});
+
+
+test("calcDictionaryBits follows the NIST bonus table", function () {
+    var e = new Entropy(""),
+        ln;
+
+    for (ln=1; ln<=RANDOM.length; ++ln) {
+        assert.strictEqual(e.calcDictionaryBits(RANDOM.substring(0, ln)), (ln < 4 || ln >= 20) ? 0 : Math.min(ln, 6), "length " + ln);
+    }
+});
+
+
+test("calcDictionaryBits gives no bonus to dictionary words, l33t or reversed", function () {
+    var e = new Entropy(""),
+        words = ["password", "P4ssw0rd", "drowssap", "Dragon"],
+        i;
+
+    for (i=0; i<words.length; ++i) {
+        assert.strictEqual(e.calcDictionaryBits(words[i]), 0, words[i]);
+    }
+});
+
+
+test("unpackDictList decodes prefix lengths", function () {
+    assert.deepStrictEqual(Entropy.unpackDictList("ApassEwordHt"), {pass: true, password: true, passwort: true});
+    assert.deepStrictEqual(Entropy.unpackDictList("AabcCdDe"), {abc: true, abd: true, abde: true});
+    assert.deepStrictEqual(Entropy.unpackDictList(""), {});
+});
+
+
+test("packDictList and unpackDictList round trip", function () {
+    var words = ["alpha", "alphabet", "alphanumeric", "beta", "bet", "zulu"],
+        expected = {},
+        i;
+
+    for (i=0; i<words.length; ++i) { expected[words[i]] = true; }
+
+    assert.strictEqual(Entropy.packDictList(["pass", "password", "passwort"]), "ApassEwordHt");
+    assert.deepStrictEqual(Entropy.unpackDictList(Entropy.packDictList(words)), expected);
+});
+
+
+test("the default dictionary is registered and unpacked", function () {
+    assert.ok(Entropy.dictionaries["default"].size > 1000);
+    assert.strictEqual(Entropy.DICT.password, true);
+});
+
+
+test("addDictionary and removeDictionary change the dictionary check", function () {
+    var word = "zorblaxian";
+
+    assert.strictEqual(new Entropy(word).inDict, false);
+    Entropy.addDictionary("test", [word]);
+    try {
+        assert.strictEqual(new Entropy(word).inDict, true);
+        assert.strictEqual(new Entropy(word).dictMatches[0].dictionary, "test");
+    } finally {
+        Entropy.removeDictionary("test");
+    }
+    assert.strictEqual(new Entropy(word).inDict, false);
+});
+
+
+test("addDictionary only unpacks strings given the packed format", function () {
+    function words(list, opts) {
+        return Object.keys(Entropy.addDictionary("test", list, opts).words);
+    }
+
+    try {
+        assert.deepStrictEqual(words("acme"), ["acme"]);
+        assert.deepStrictEqual(words("Acme"), ["acme"]);
+        assert.deepStrictEqual(words("AcmeCorp"), ["acmecorp"]);
+        assert.deepStrictEqual(words("acme\nroadrunner"), ["acme", "roadrunner"]);
+        assert.deepStrictEqual(words("ApassEwordHt", {format: "packed"}), ["pass", "password", "passwort"]);
+    } finally {
+        Entropy.removeDictionary("test");
+    }
+});
+
+
+test("user inputs are a dictionary for one password only", function () {
+    function fromUserInputs(e) {
+        var i;
+        for (i=0; i<e.dictMatches.length; ++i) {
+            if (e.dictMatches[i].dictionary === "user_inputs") { return true; }
+        }
+        return false;
+    }
+
+    assert.strictEqual(fromUserInputs(new Entropy("jsmith1984", ["jsmith"])), true);
+    assert.strictEqual(fromUserInputs(new Entropy("jsmith1984")), false);
+    assert.ok(new Entropy("jsmith1984", ["jsmith"]).entropy < new Entropy("jsmith1984").entropy);
+});
+
+
+test("guessable patterns are found and discounted", function () {
+    var cases = [
+            ["qwertyuiop", "keyboard"],
+            ["aaaaaaaa", "repeat"],
+            ["abcdefgh", "sequence"],
+            ["MNOPQRST", "sequence"],
+            ["12/31/1984", "date"],
+            ["dr4g0n", "dictionary"]
+        ],
+        i, e;
+
+    for (i=0; i<cases.length; ++i) {
+        e = new Entropy(cases[i][0]);
+        assert.strictEqual(e.matches[0].pattern, cases[i][1], cases[i][0]);
+        assert.ok(e.entropy < new Entropy(RANDOM.substring(0, cases[i][0].length)).entropy, cases[i][0] + " scores lower than random letters");
+    }
+});
+
+
+test("capitalized words with an accented first letter", function () {
+    var cases = [
+            ["Élodie2024", ["Élodie"]],
+            ["Ölafsson", ["ölafsson"]]
+        ],
+        i, e;
+
+    for (i=0; i<cases.length; ++i) {
+        e = new Entropy(cases[i][0], cases[i][1]);
+        assert.ok(e.entropy > 0, cases[i][0] + " scores " + e.entropy);
+        assert.ok(e.entropy <= new Entropy(cases[i][0].toLowerCase(), cases[i][1]).entropy + 1, cases[i][0] + " capitalized costs 1 bit");
+    }
+});
+
+
+test("l33t substitution maps are complete and capped", function () {
+    var all = "4@8({[<3691!|70$5+%2",   // every l33t character
+        max = Entropy.MAX_L33T_SUBS,
+        subs, i;
+
+    // "1", "|" and "7" stand for two letters each
+    subs = Entropy.l33tSubstitutions("p4$$w0rd1|7");
+    assert.deepStrictEqual(subs[0], {});
+    assert.strictEqual(subs.length, 1 + 8);
+    for (i=1; i<subs.length; ++i) {
+        assert.deepStrictEqual(Object.keys(subs[i]).sort(), ["$", "0", "1", "4", "7", "|"]);
+    }
+
+    assert.ok(Entropy.l33tSubstitutions(all).length <= 1 + max);
+    Entropy.MAX_L33T_SUBS = 2;
+    try {
+        assert.strictEqual(Entropy.l33tSubstitutions(all).length, 1 + 2);
+        assert.ok(new Entropy(all).entropy > 0);
+    } finally {
+        Entropy.MAX_L33T_SUBS = max;
+    }
+});
+
+
+test("passwords are normalized and counted in characters", function () {
+    var e = new Entropy("ｐａｓｓｗｏｒｄ");   // full-width "password"
+
+    assert.strictEqual(e.normalized, "password");
+    assert.strictEqual(e.inDict, true);
+    assert.strictEqual(Entropy.countChars("été"), 3);     // decomposed and precomposed e acute
+    assert.strictEqual(Entropy.countChars("👍🏽!"), 2);   // thumbs up, skin tone
+});
+
+
+test("repeated combining marks and joiners are not scored as repeats", function () {
+    var words = ["x\u00e9\u0301\u0301\u0301y", "abc\u200d\u200d\u200ddef", "\u2764\ufe0f\ufe0f\ufe0f"],
+        i, e;
+
+    for (i=0; i<words.length; ++i) {
+        e = new Entropy(words[i]);
+        assert.ok(e.entropy > 0, JSON.stringify(words[i]) + " scores " + e.entropy);
+        assert.strictEqual(e.matches.filter(function (m) { return m.pattern === "repeat"; }).length, 0, JSON.stringify(words[i]));
+    }
+});
+
+
+test("non-keyboard characters are sized by script", function () {
+    var sizes = Entropy.SCRIPT_SIZES;
+
+    assert.deepStrictEqual(new Entropy("").getCharsetInfo("пароль"), {size: sizes.cyrillic, count: 1});
+    assert.deepStrictEqual(new Entropy("").getCharsetInfo("héllo"), {size: 26 + sizes.latin_ext, count: 2});
+    assert.deepStrictEqual(new Entropy("").getCharsetInfo("§"), {size: sizes.other, count: 1});
+});
+
+
+test("crack times and feedback", function () {
+    var weak = new Entropy("password"),
+        strong = new Entropy("kzqv jxwm bhgt fdnp rlsy");
+
+    assert.strictEqual(weak.guesses, Math.pow(2, weak.entropy));
+    assert.strictEqual(weak.crackTimes.offlineFastHash.display, Entropy.MESSAGES.lessThanASecond);
+    assert.ok(weak.feedback.warnings.length > 0);
+    assert.deepStrictEqual(strong.feedback, {warnings: [], suggestions: []});
+    assert.strictEqual(Entropy.displayTime(7200), "2 hours");
+});
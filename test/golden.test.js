@@ -0,0 +1,48 @@
+/*
+ * Golden corpus: passwords with the score they are expected to get. A change to the entropy calculation, the
+ * matchers or the default dictionary that moves any of them fails this test. If the change is intended, regenerate
+ * the expected scores and review the diff of the fixture:
+ *
+ *      UPDATE_GOLDEN=1 node --test test/golden.test.js
+ */
+var test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    helpers = require("./helpers"),
+    PWStrengthMeter = require("../js/pwstrengthmeter");
+
+var FIXTURE = path.join(__dirname, "fixtures", "golden.json");
+
+helpers.pinReferenceYear(test);
+
+
+// Entries with userInputs are scored with them
+function score(pw, userInputs) {
+    var data = PWStrengthMeter.evaluate(pw, {policy: "nist80063b", userInputs: userInputs || []}),
+        info = PWStrengthMeter.entropyEstimator(pw, {userInputs: userInputs || []}),
+        result = {password: pw};
+
+    if (userInputs) { result.userInputs = userInputs; }
+    result.entropy = data.entropy;
+    result.inDict = data.inDict;
+    result.range = data.range.cls;
+    result.valid = data.valid;
+    result.patterns = info.matches.map(function (m) { return m.pattern + ":" + m.token; });
+    return result;
+}
+
+
+test("golden corpus scores", function () {
+    var corpus = JSON.parse(fs.readFileSync(FIXTURE, "utf8")),
+        i;
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(FIXTURE, JSON.stringify(corpus.map(function (c) { return score(c.password, c.userInputs); }), null, 2) + "\n");
+        return;
+    }
+
+    for (i=0; i<corpus.length; ++i) {
+        assert.deepStrictEqual(score(corpus[i].password, corpus[i].userInputs), corpus[i], JSON.stringify(corpus[i].password));
+    }
+});
@@ -0,0 +1,27 @@
+/*
+ * Shared setup for the test files. Requiring this file has no side effect.
+ */
+var Entropy = require("../js/entropy");
+
+
+/**
+ * Dates are scored by their distance to the current year (Entropy.REFERENCE_YEAR): pin it for the tests of a file so
+ * that their results do not change over time, and restore it afterwards.
+ *
+ * @param test {function} The node:test module.
+ */
+exports.pinReferenceYear = function (test) {
+    var referenceYear;
+
+    test.before(function () {
+        referenceYear = Entropy.REFERENCE_YEAR;
+        Entropy.REFERENCE_YEAR = exports.REFERENCE_YEAR;
+    });
+
+    test.after(function () {
+        Entropy.REFERENCE_YEAR = referenceYear;
+    });
+};
+
+// The year the golden corpus was recorded in
+exports.REFERENCE_YEAR = 2026;
@@ -0,0 +1,97 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    crypto = require("crypto"),
+    PWBreachCheck = require("../js/pwbreachcheck");
+
+
+function sha1(str) {
+    return crypto.createHash("sha1").update(str, "utf8").digest("hex");
+}
+
+
+test("sha1 hashes the UTF-8 encoding of the string", function () {
+    var words = ["", "password", "pässwörd", "密码", "👍🏽 x", new Array(200).join("a")],
+        i;
+
+    for (i=0; i<words.length; ++i) {
+        assert.strictEqual(PWBreachCheck.sha1(words[i]), sha1(words[i]), JSON.stringify(words[i]));
+    }
+    assert.strictEqual(PWBreachCheck.sha1("password"), "5baa61e4c9b93f3f0682250b6cf8331b7ee68fd8");
+});
+
+
+test("parseRange reads counts and drops padding entries", function () {
+    var range = new PWBreachCheck().parseRange("1E4C9B93F3F0682250B6CF8331B7EE68FD8:3861493\r\n" +
+        "011053fd0102e94d6ae2f8b83d76faf94f6:0\r\nbad line\n00D4F6E8FA6EECAD2A3AA415EEC418D38EC:2\n");
+
+    assert.deepStrictEqual(range, {
+        "1E4C9B93F3F0682250B6CF8331B7EE68FD8": 3861493,
+        "00D4F6E8FA6EECAD2A3AA415EEC418D38EC": 2
+    });
+    assert.deepStrictEqual(new PWBreachCheck().parseRange(null), {});
+});
+
+
+test("check sends the hash prefix and looks up the suffix", function (t, done) {
+    var hash = sha1("password").toUpperCase(),
+        urls = [],
+        bc = new PWBreachCheck({
+            url: "https://example.test/range/",
+            request: function (url, callback) {
+                urls.push(url);
+                callback(null, hash.substring(5) + ":42\nFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF:1");
+            }
+        });
+
+    bc.check("password", function (err, result) {
+        assert.strictEqual(err, null);
+        assert.deepStrictEqual(result, {breached: true, count: 42});
+        assert.deepStrictEqual(urls, ["https://example.test/range/" + hash.substring(0, 5)]);
+        done();
+    });
+});
+
+
+test("one request per prefix, then answers from the cache", function (t, done) {
+    var requests = [],
+        bc = new PWBreachCheck({request: function (url, callback) { requests.push(callback); }}),
+        results = [];
+
+    function collect(err, result) {
+        results.push(result.breached);
+    }
+
+    bc.check("password", collect);
+    bc.check("password", collect);
+    assert.strictEqual(requests.length, 1);
+
+    requests[0](null, sha1("password").toUpperCase().substring(5) + ":1");
+    assert.deepStrictEqual(results, [true, true]);
+
+    bc.check("password", function (err, result) {
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(result.count, 1);
+        done();
+    });
+});
+
+
+test("errors are passed on and not cached", function (t, done) {
+    var calls = 0,
+        bc = new PWBreachCheck({
+            request: function (url, callback) {
+                calls += 1;
+                callback({name: "BreachCheckError", message: "down", status: 503}, null);
+            }
+        });
+
+    bc.check("password", function (err, result) {
+        assert.strictEqual(err.status, 503);
+        assert.strictEqual(result, null);
+
+        bc.check("password", function () {
+            assert.strictEqual(calls, 2);
+            done();
+        });
+    });
+});
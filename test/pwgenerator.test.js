@@ -0,0 +1,97 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    Entropy = require("../js/entropy"),
+    PWPolicy = require("../js/pwpolicy"),
+    PWGenerator = require("../js/pwgenerator");
+
+
+var WORDS = ["acorn", "bridge", "candle", "dolphin", "ember", "falcon", "garden", "harbor",
+    "island", "jungle", "kettle", "lantern", "meadow", "nectar", "orchid", "pebble"];
+
+
+test("randomInt stays in range and uses every value", function () {
+    var seen = {}, i, n;
+
+    for (i=0; i<500; ++i) {
+        n = PWGenerator.randomInt(7);
+        assert.ok(n >= 0 && n < 7 && n === Math.floor(n), String(n));
+        seen[n] = true;
+    }
+    assert.strictEqual(Object.keys(seen).length, 7);
+});
+
+
+test("passwords reach minEntropy and pass the policy", function () {
+    var gen = new PWGenerator({policy: "classic", minEntropy: 60}),
+        policy = new PWPolicy("classic"),
+        i, pw;
+
+    for (i=0; i<20; ++i) {
+        pw = gen.password();
+        assert.ok(new Entropy(pw).entropy >= 60, pw);
+        assert.strictEqual(policy.evaluate(pw, {entropy: new Entropy(pw)}).valid, true, pw);
+    }
+});
+
+
+test("password options: charset, length and rules", function () {
+    var gen = new PWGenerator({charset: "abcdef0123456789", length: 24, minEntropy: 0, rules: [{regex: /^\d/, result: false}]}),
+        i, pw;
+
+    for (i=0; i<20; ++i) {
+        pw = gen.password();
+        assert.match(pw, /^[a-f][a-f0-9]{23}$/);
+    }
+});
+
+
+test("passphrases need a word list", function () {
+    assert.throws(function () { new PWGenerator().passphrase(); }, {name: "PWGeneratorError"});
+    assert.throws(function () { new PWGenerator({words: ["one"]}).passphrase(); }, {name: "PWGeneratorError"});
+});
+
+
+test("passphrases are made of the given words", function () {
+    var gen = new PWGenerator({type: "passphrase", words: WORDS, minEntropy: 40}),
+        pw = gen.generate(),
+        parts = pw.split("-"),
+        i;
+
+    assert.ok(parts.length >= Math.ceil(40 / 4), pw);  // 16 words: 4 bits each
+    for (i=0; i<parts.length; ++i) {
+        assert.ok(WORDS.indexOf(parts[i]) !== -1, parts[i]);
+    }
+    assert.strictEqual(gen.passphrase({words: WORDS.join("\n"), wordCount: 3, separator: " ", minEntropy: 0}).split(" ").length, 3);
+});
+
+
+test("passphrases are capitalized with a digit when the policy needs it", function () {
+    var gen = new PWGenerator({words: WORDS, minEntropy: 40, policy: "classic"}),
+        pw = gen.passphrase();
+
+    assert.match(pw, /[A-Z]/);
+    assert.match(pw, /\d/);
+    assert.strictEqual(new PWPolicy("classic").evaluate(pw, {entropy: new Entropy(pw)}).valid, true, pw);
+});
+
+
+test("generation gives up after maxAttempts", function () {
+    var gen = new PWGenerator({length: 4, minEntropy: 200, maxAttempts: 3});
+
+    assert.throws(function () { gen.password(); }, {name: "PWGeneratorError"});
+});
+
+
+test("the random option makes the output predictable", function () {
+    var gen = new PWGenerator({charset: "abc", length: 5, minEntropy: 0, random: function () { return 1; }});
+
+    assert.strictEqual(gen.password(), "bbbbb");
+});
+
+
+test("toWordList accepts arrays, lists and packed lists", function () {
+    assert.deepStrictEqual(PWGenerator.toWordList(["a", "b", "a", ""]), ["a", "b"]);
+    assert.deepStrictEqual(PWGenerator.toWordList("one\r\ntwo\nthree"), ["one", "two", "three"]);
+    assert.deepStrictEqual(PWGenerator.toWordList("ApassEwordHt"), ["pass", "password", "passwort"]);
+    assert.deepStrictEqual(PWGenerator.toWordList(null), []);
+});
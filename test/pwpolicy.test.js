@@ -0,0 +1,48 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    PWPolicy = require("../js/pwpolicy");
+
+
+test("similarity finds the most similar previous password", function () {
+    var cases = [
+            // [password, previous, reason, score]
+            ["Summer2024!", ["summer2024!"], "equal", 1],
+            ["drowssap", ["password"], "reversed", 1],
+            ["Spring2026!", ["Spring2025!"], "increment", 1],
+            ["Spring2046!", ["Spring2025!"], "edit", 1 - 2/11],
+            ["kzqvjxwm", ["aaaaaaaa"], "edit", 0]
+        ],
+        i, sim;
+
+    for (i=0; i<cases.length; ++i) {
+        sim = PWPolicy.similarity(cases[i][0], cases[i][1]);
+        assert.strictEqual(sim.reason, cases[i][2], cases[i][0]);
+        assert.strictEqual(sim.score, cases[i][3], cases[i][0]);
+    }
+
+    sim = PWPolicy.similarity("tiger1", ["lion", "", "tigger1"]);
+    assert.deepStrictEqual(sim, {score: 1 - 1/7, distance: 1, reason: "edit", index: 2});
+    assert.strictEqual(PWPolicy.similarity("tiger1", []), null);
+    assert.strictEqual(PWPolicy.similarity("tiger1", null), null);
+});
+
+
+test("similarity counts swapped characters as one edit", function () {
+    assert.strictEqual(PWPolicy.similarity("abdc", ["abcd"]).distance, 1);
+});
+
+
+test("the notSimilar rule fails above its max", function () {
+    var policy = new PWPolicy([{id: "new", type: "notSimilar", max: 0.7, message: "Too close to your old password"}]),
+        previous = ["CorrectHorse1"];
+
+    assert.strictEqual(policy.evaluate("CorrectHorse2", {previousPasswords: previous}).valid, false);
+    assert.strictEqual(policy.evaluate("CorrectHorse2", {previousPasswords: previous}).invalidRules[0].id, "new");
+    assert.strictEqual(policy.evaluate("BatteryStaple9", {previousPasswords: previous}).valid, true);
+    assert.strictEqual(policy.evaluate("CorrectHorse2", {}).valid, true);   // no previous passwords
+
+    // the default max is 0.5, and a similarity given in the context is used as is
+    policy = new PWPolicy([{type: "notSimilar"}]);
+    assert.strictEqual(policy.evaluate("x", {similarity: {score: 0.6}}).valid, false);
+    assert.strictEqual(policy.evaluate("x", {similarity: {score: 0.5}}).valid, true);
+});
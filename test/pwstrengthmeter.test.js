@@ -0,0 +1,288 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    JSDOM = require("jsdom").JSDOM,
+    helpers = require("./helpers"),
+    PWStrengthMeter = require("../js/pwstrengthmeter");
+
+helpers.pinReferenceYear(test);
+
+
+/*
+ * A page with a password field and a meter element, and helpers to type into the field.
+ */
+function page() {
+    var dom = new JSDOM('<form><input name="user" value="jsmith"><input name="pw" id="pw"><input name="pw2">' +
+            '<div id="meter"></div></form>'),
+        doc = dom.window.document;
+
+    return {
+        window: dom.window,
+        form: doc.forms[0],
+        field: doc.getElementById("pw"),
+        meter: doc.getElementById("meter"),
+        type: function (el, value, type) {
+            el.value = value;
+            el.dispatchEvent(new dom.window.Event(type || "input"));
+        }
+    };
+}
+
+function classes(el) {
+    return el.className.split(/\s+/).filter(function (c) { return c; }).sort();
+}
+
+// An estimator that scores every password at the given entropy
+function fixed(entropy) {
+    return function () { return {entropy: entropy}; };
+}
+
+
+test("range boundaries: the first matching range wins", function () {
+    var cases = [
+            // [entropy, cls]
+            [-1, "empty"],
+            [0, "empty"],       // max of "empty" and min of "weak"
+            [0.5, "weak"],
+            [55.9, "weak"],
+            [56, "weak"],       // max of "weak" and min of "good"
+            [56.1, "good"],
+            [80, "good"],       // max of "good" and min of "strong"
+            [80.1, "strong"],
+            [1e6, "strong"]
+        ],
+        i;
+
+    for (i=0; i<cases.length; ++i) {
+        assert.strictEqual(PWStrengthMeter.evaluate("x", {estimator: fixed(cases[i][0])}).range.cls, cases[i][1], "entropy " + cases[i][0]);
+    }
+});
+
+
+test("evaluate without a DOM", function () {
+    var data = PWStrengthMeter.evaluate("jsmith1", {policy: "nist80063b", userInputs: ["jsmith"]});
+
+    assert.strictEqual(data.valid, false);
+    assert.deepStrictEqual(data.invalidRules.map(function (r) { return r.id; }), ["minLength"]);
+    assert.strictEqual(data.range.cls, "weak");
+    assert.strictEqual(PWStrengthMeter.evaluate("correct horse battery staple").valid, true);
+});
+
+
+test("notify toggles the valid, invalid and range classes", function () {
+    var p = page(),
+        meter = new PWStrengthMeter(p.field, p.meter, {rules: [{regex: /.{8,}/, result: true}]});
+
+    assert.deepStrictEqual(classes(p.meter), ["empty", "invalid"]);
+
+    p.type(p.field, "abc");
+    assert.deepStrictEqual(classes(p.meter), ["invalid", "weak"]);
+
+    p.type(p.field, "kzqv jxwm bhgt fdnp", "keyup");
+    assert.deepStrictEqual(classes(p.meter), ["strong", "valid"]);
+
+    p.type(p.field, "kzqvjxwm", "change");
+    assert.deepStrictEqual(classes(p.meter), ["valid", "weak"]);
+
+    meter.destroy();
+    assert.deepStrictEqual(classes(p.meter), []);
+});
+
+
+test("destroy cancels the check of a pending paste", function (t, done) {
+    var p = page(),
+        calls = 0,
+        meter = new PWStrengthMeter(p.field, p.meter, {onChange: function () { calls += 1; }});
+
+    p.type(p.field, "abc", "paste");
+    meter.destroy();
+
+    setTimeout(function () {
+        assert.strictEqual(calls, 1);   // the first check, when the meter was created
+        assert.deepStrictEqual(classes(p.meter), []);
+        done();
+    }, 20);
+});
+
+
+test("returning false from onChange leaves the classes alone", function () {
+    var p = page(),
+        calls = [];
+
+    new PWStrengthMeter(p.field, p.meter, {
+        onChange: function (data) {
+            calls.push(data.password);
+            return false;
+        }
+    });
+
+    p.type(p.field, "abc");
+    assert.deepStrictEqual(calls, ["", "abc"]);
+    assert.deepStrictEqual(classes(p.meter), []);
+});
+
+
+test("the password is re-evaluated when a user input field changes", function () {
+    var p = page(),
+        meter = new PWStrengthMeter(p.field, p.meter, {userInputs: [p.form.elements.user]}),
+        before;
+
+    p.type(p.field, "bobross1984");
+    before = meter.getResult().entropy;
+
+    p.type(p.form.elements.user, "bobross");
+    assert.ok(meter.getResult().entropy < before);
+});
+
+
+test("custom classes and setOptions", function () {
+    var p = page(),
+        meter = new PWStrengthMeter(p.field, p.meter, {
+            ranges: [
+                {min: Number.NEGATIVE_INFINITY, max: 40, cls: "no"},
+                {min: 40, max: Number.POSITIVE_INFINITY, cls: "yes"}
+            ],
+            clsValid: "ok",
+            clsInvalid: "ko"
+        });
+
+    p.type(p.field, "password");
+    assert.deepStrictEqual(classes(p.meter), ["no", "ok"]);
+
+    meter.setOptions({estimator: fixed(50)});
+    assert.deepStrictEqual(classes(p.meter), ["ok", "yes"]);
+});
+
+
+test("without pwpolicy.js, regex rules are still checked", function () {
+    var dom = new JSDOM('<input id="pw"><div id="meter"></div>', {runScripts: "outside-only"}),
+        win = dom.window;
+
+    ["entropy", "pwstrengthmeter"].forEach(function (name) {
+        win.eval(fs.readFileSync(path.join(__dirname, "..", "js", name + ".js"), "utf8"));
+    });
+    win.eval('var meter = new PWStrengthMeter(document.getElementById("pw"), document.getElementById("meter"), ' +
+        '{rules: [{regex: /.{8,}/, result: true}]});');
+
+    assert.strictEqual(win.PWPolicy, undefined);
+    assert.strictEqual(win.eval("meter.getResult().valid"), false);
+    assert.deepStrictEqual(classes(win.document.getElementById("meter")), ["empty", "invalid"]);
+    assert.throws(function () { win.eval('new PWStrengthMeter(document.getElementById("pw"), document.getElementById("meter"), {policy: "classic"})'); },
+        function (e) { return /pwpolicy\.js/.test(e.message); });
+});
+
+
+test("a confirmation field gets its own state", function () {
+    var p = page(),
+        confirm = p.form.elements.pw2,
+        meter = new PWStrengthMeter(p.field, p.meter, {confirmEl: confirm});
+
+    p.type(p.field, "kzqv jxwm bhgt");
+    p.type(confirm, "kzqv");
+    assert.strictEqual(meter.getResult().mismatch, true);
+    assert.strictEqual(meter.getResult().valid, false);
+    assert.deepStrictEqual(classes(confirm), ["mismatch"]);
+
+    p.type(confirm, "kzqv jxwm bhgt");
+    assert.strictEqual(meter.getResult().matches, true);
+    assert.deepStrictEqual(classes(confirm), ["match"]);
+});
+
+
+test("customValidity reports failing rules, weak passwords and mismatches", function () {
+    var p = page(),
+        confirm = p.form.elements.pw2,
+        meter = new PWStrengthMeter(p.field, p.meter, {
+            customValidity: true,
+            minRange: "good",
+            confirmEl: confirm,
+            rules: [{regex: /.{8,}/, result: true, message: "Use at least 8 characters."}, {regex: /!/, result: false}]
+        });
+
+    assert.strictEqual(p.field.validationMessage, "");     // nothing typed yet
+
+    p.type(p.field, "abc");
+    assert.strictEqual(p.field.validationMessage, "Use at least 8 characters.");
+
+    p.type(p.field, "password!");
+    assert.strictEqual(p.field.validationMessage, meter.invalidMessage);   // the failing rule has no message
+
+    p.type(p.field, "password");
+    assert.strictEqual(p.field.validationMessage, "Choose a stronger password.");
+
+    p.type(p.field, "kzqv jxwm bhgt fdnp");
+    assert.strictEqual(p.field.validationMessage, "");
+    assert.strictEqual(p.field.checkValidity(), true);
+
+    p.type(confirm, "kzqv");
+    assert.notStrictEqual(confirm.validationMessage, "");
+    assert.strictEqual(p.field.validationMessage, "");
+
+    meter.setOptions({customValidity: false});
+    assert.strictEqual(confirm.validationMessage, "");
+});
+
+
+test("blockSubmit stops the form while the password is invalid", function () {
+    var p = page(),
+        meter = new PWStrengthMeter(p.field, p.meter, {customValidity: true, blockSubmit: true, minRange: "good"});
+
+    function submit() {
+        return p.form.dispatchEvent(new p.window.Event("submit", {cancelable: true}));
+    }
+
+    assert.strictEqual(submit(), true);     // an empty field is left to the required attribute
+
+    p.type(p.field, "password");
+    assert.strictEqual(submit(), false);
+    assert.strictEqual(p.window.document.activeElement, p.field);
+
+    p.type(p.field, "kzqv jxwm bhgt fdnp");
+    assert.strictEqual(submit(), true);
+
+    p.type(p.field, "password");
+    meter.destroy();
+    assert.strictEqual(submit(), true);
+});
+
+
+test("render builds an accessible meter", function () {
+    var p = page(),
+        meter = new PWStrengthMeter(p.field, p.meter, {render: true, policy: "classic"}),
+        bar = p.meter.querySelector("[role=meter]");
+
+    p.type(p.field, "password");
+    assert.strictEqual(p.meter.querySelector(".meterLabel").textContent, "Weak");
+    assert.strictEqual(bar.getAttribute("aria-valuenow"), String(meter.getResult().entropy));
+    assert.ok(p.meter.querySelectorAll(".ruleList .failed").length > 0);
+    assert.ok(p.field.getAttribute("aria-describedby"));
+
+    meter.destroy();
+    assert.strictEqual(p.meter.innerHTML, "");
+    assert.strictEqual(p.field.getAttribute("aria-describedby"), null);
+});
+
+
+test("stale asynchronous estimates are discarded", function (t, done) {
+    var p = page(),
+        seen = [];
+
+    function slow(pw) {
+        return new Promise(function (resolve) {
+            setTimeout(function () { resolve({entropy: pw.length}); }, pw.length === 1 ? 30 : 5);
+        });
+    }
+
+    new PWStrengthMeter(p.field, p.meter, {
+        estimator: slow,
+        onChange: function (data) { seen.push(data.password); }
+    });
+    p.type(p.field, "a");
+    p.type(p.field, "abcdef");
+
+    setTimeout(function () {
+        assert.deepStrictEqual(seen, ["abcdef"]);
+        done();
+    }, 60);
+});
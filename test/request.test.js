@@ -0,0 +1,76 @@
+var test = require("node:test"),
+    assert = require("node:assert"),
+    http = require("http"),
+    Entropy = require("../js/entropy"),
+    PWBreachCheck = require("../js/pwbreachcheck"),
+    PWStrengthMeter = require("../js/pwstrengthmeter");
+
+
+/*
+ * A local server answering every request with what it received, or with a 404 for paths starting with "/missing".
+ */
+function serve(callback) {
+    var server = http.createServer(function (req, res) {
+        var body = "";
+
+        req.on("data", function (chunk) { body += chunk; });
+        req.on("end", function () {
+            res.statusCode = /^\/missing/.test(req.url) ? 404 : 200;
+            res.end(JSON.stringify({method: req.method, url: req.url, headers: req.headers, body: body}));
+        });
+    });
+
+    server.listen(0, "127.0.0.1", function () {
+        callback(server, "http://127.0.0.1:" + server.address().port);
+    });
+}
+
+
+test("Entropy.request sends the method, headers and body", function (t, done) {
+    serve(function (server, base) {
+        Entropy.request("POST", base + "/echo", {headers: {"X-Test": "1"}, body: "hello"}, function (err, text) {
+            var echo = JSON.parse(text);
+
+            server.close();
+            assert.strictEqual(err, null);
+            assert.strictEqual(echo.method, "POST");
+            assert.strictEqual(echo.headers["x-test"], "1");
+            assert.strictEqual(echo.body, "hello");
+            done();
+        });
+    });
+});
+
+
+test("Entropy.request errors carry the caller's name and message", function (t, done) {
+    serve(function (server, base) {
+        Entropy.request("GET", base + "/missing", {errorName: "TestError", errorMessage: "Nope"}, function (err, text) {
+            server.close();
+            assert.deepStrictEqual(err, {name: "TestError", message: "Nope", status: 404});
+            assert.strictEqual(text, null);
+            done();
+        });
+    });
+});
+
+
+test("loadDictionary, the breach check and the remote estimator report request errors", function (t, done) {
+    serve(function (server, base) {
+        Entropy.loadDictionary("test", base + "/missing", function (err) {
+            assert.strictEqual(err.name, "DictionaryLoadError");
+            assert.strictEqual(err.status, 404);
+
+            new PWBreachCheck({url: base + "/range/"}).fetch(base + "/range/ABCDE", function (err, text) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(JSON.parse(text).headers["add-padding"], "true");
+
+                PWStrengthMeter.remoteEstimator(base + "/missing")("pw", {}).then(null, function (err) {
+                    server.close();
+                    assert.strictEqual(err.name, "EstimatorError");
+                    assert.strictEqual(err.status, 404);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/*
+ * Local stand-in for a Pwned Passwords style range endpoint, for development and tests.
+ *
+ * Usage: node tools/rangeserver.js <password list> [port]
+ *
+ * The password list is a plain text file with one breached password per line; a password listed
+ * several times gets a higher count. The server answers "GET /range/<5 hex characters>" with the
+ * "<hash suffix>:<count>" lines of every listed password whose SHA-1 hash starts with the prefix.
+ * Point PWBreachCheck at it with:
+ *
+ *      new PWBreachCheck({ url: "http://localhost:8765/range/" })
+ */
+var http = require("http"),
+    fs = require("fs"),
+    crypto = require("crypto");
+
+var file = process.argv[2],
+    port = parseInt(process.argv[3], 10) || 8765,
+    ranges = {};
+
+if (!file) {
+    console.error("Usage: node tools/rangeserver.js <password list> [port]");
+    process.exit(1);
+}
+
+fs.readFileSync(file, "utf8").split(/\r?\n/).forEach(function (pw) {
+    var hash, prefix, suffix;
+
+    if (!pw) { return; }
+    hash = crypto.createHash("sha1").update(pw, "utf8").digest("hex").toUpperCase();
+    prefix = hash.substring(0, 5);
+    suffix = hash.substring(5);
+
+    ranges[prefix] = ranges[prefix] || {};
+    ranges[prefix][suffix] = (ranges[prefix][suffix] || 0) + 1;
+});
+
+http.createServer(function (req, res) {
+    var m = /^\/range\/([0-9A-Fa-f]{5})$/.exec(req.url),
+        range, lines = [], suffix;
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Add-Padding");
+
+    if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (!m) {
+        res.writeHead(404, {"Content-Type": "text/plain"});
+        res.end("Not found");
+        return;
+    }
+
+    range = ranges[m[1].toUpperCase()] || {};
+    for (suffix in range) {
+        lines.push(suffix + ":" + range[suffix]);
+    }
+    res.writeHead(200, {"Content-Type": "text/plain"});
+    res.end(lines.join("\r\n"));
+}).listen(port, function () {
+    console.log("Range server listening on http://localhost:" + port + "/range/");
+});